@@ -0,0 +1,212 @@
+const { splitSentences } = require('./sentences');
+const { languageCode, detectLanguage } = require('./quality');
+
+/**
+ * Sentence alignment of a chunk and its translation, for sentence-level
+ * exports and translation memory entries.
+ *
+ * Both sides are split into sentences (lib/sentences.js) and aligned by
+ * length (Gale & Church): a sentence and its translation have proportional
+ * lengths, so the cheapest sequence of 1-1, 1-2, 2-1, 2-2, 1-0 and 0-1
+ * matches wins. When that leaves a sentence unmatched or a match whose
+ * lengths are far apart, the model is asked to split the translation at
+ * the source's numbered sentences instead; if its answer doesn't reproduce
+ * the translation, the chunk stays one pair.
+ *
+ * Result: { method, pairs } with method 'heuristic', 'model' or 'chunk'
+ * and pairs [{ source, target }].
+ */
+
+// Prior probability of each match type (Gale & Church 1993)
+const MATCHES = [
+  { source: 1, target: 1, prior: 0.89 },
+  { source: 1, target: 0, prior: 0.0099 / 2 },
+  { source: 0, target: 1, prior: 0.0099 / 2 },
+  { source: 2, target: 1, prior: 0.089 / 2 },
+  { source: 1, target: 2, prior: 0.089 / 2 },
+  { source: 2, target: 2, prior: 0.011 }
+];
+// Variance of the target length per source character
+const VARIANCE = 6.8;
+// A match whose lengths differ by more standard deviations than this
+// fails the heuristic alignment
+const MAX_DEVIATION = 3;
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 26.2.17)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+// Length deviation of a match, in standard deviations; `ratio` is the
+// expected target characters per source character
+function deviation(sourceLength, targetLength, ratio) {
+  if (sourceLength === 0 && targetLength === 0) return 0;
+  const mean = (sourceLength + targetLength / ratio) / 2;
+  return (targetLength - sourceLength * ratio) / Math.sqrt(Math.max(mean, 1) * VARIANCE * ratio);
+}
+
+function matchCost(match, sourceLength, targetLength, ratio) {
+  const delta = Math.abs(deviation(sourceLength, targetLength, ratio));
+  const probability = Math.max(2 * (1 - normalCdf(delta)), 1e-12);
+  return -Math.log(match.prior) - Math.log(probability);
+}
+
+/**
+ * Length-based alignment of two sentence lists. Returns { pairs, ok }:
+ * `ok` is false when a sentence is left unmatched or a match's lengths are
+ * more than MAX_DEVIATION standard deviations apart.
+ */
+function alignByLength(sourceSentences, targetSentences) {
+  const n = sourceSentences.length;
+  const m = targetSentences.length;
+  const length = (sentences, from, count) => sentences.slice(from, from + count).reduce((sum, s) => sum + s.length, 0);
+  const ratio = Math.max(length(targetSentences, 0, m), 1) / Math.max(length(sourceSentences, 0, n), 1);
+
+  // cost[i][j]: best alignment of the first i source and j target sentences
+  const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(Infinity));
+  const back = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(null));
+  cost[0][0] = 0;
+
+  for (let i = 0; i <= n; i++) {
+    for (let j = 0; j <= m; j++) {
+      if (cost[i][j] === Infinity) continue;
+      for (const match of MATCHES) {
+        const si = i + match.source;
+        const tj = j + match.target;
+        if (si > n || tj > m) continue;
+        const total = cost[i][j] + matchCost(match, length(sourceSentences, i, match.source), length(targetSentences, j, match.target), ratio);
+        if (total < cost[si][tj]) {
+          cost[si][tj] = total;
+          back[si][tj] = match;
+        }
+      }
+    }
+  }
+
+  const pairs = [];
+  let ok = true;
+  for (let i = n, j = m; i > 0 || j > 0;) {
+    const match = back[i][j];
+    const source = sourceSentences.slice(i - match.source, i);
+    const target = targetSentences.slice(j - match.target, j);
+    if (match.source === 0 || match.target === 0 ||
+        Math.abs(deviation(length(source, 0, source.length), length(target, 0, target.length), ratio)) > MAX_DEVIATION) {
+      ok = false;
+    }
+    pairs.unshift({ source: source.join(' '), target: target.join(' ') });
+    i -= match.source;
+    j -= match.target;
+  }
+
+  return { pairs, ok };
+}
+
+/**
+ * { system, input } asking the model to split `translation` at the
+ * numbered source sentences
+ */
+function buildAlignmentRequest(sourceSentences, translation) {
+  const numbered = {};
+  sourceSentences.forEach((sentence, i) => { numbered[i + 1] = sentence; });
+  return {
+    system: 'You align a translation with its source text. The source is given as numbered sentences. ' +
+      'Split the translation into the parts that translate each numbered source sentence, in order, ' +
+      'without changing, adding or leaving out any of its text. Reply with a JSON object mapping every ' +
+      'source sentence number to its part of the translation ("" if no part of the translation corresponds to it).',
+    input: JSON.stringify({ source: numbered, translation }, null, 2),
+    json: true
+  };
+}
+
+// Text without whitespace, to compare the model's split with the translation
+function compact(text) {
+  return text.replace(/\s+/g, '');
+}
+
+/**
+ * Pairs from the model's reply, or null if it is unreadable, misses a
+ * sentence number or doesn't add up to the translation. Source sentences
+ * without a part are merged into the previous pair.
+ */
+function parseAlignmentReply(reply, sourceSentences, translation) {
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  let data;
+  try {
+    data = JSON.parse(reply.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+
+  const parts = sourceSentences.map((_, i) => data[i + 1]);
+  if (parts.some(part => typeof part !== 'string')) return null;
+  if (compact(parts.join('')) !== compact(translation)) return null;
+
+  const pairs = [];
+  sourceSentences.forEach((source, i) => {
+    const target = parts[i].trim();
+    if (!target && pairs.length > 0) {
+      pairs[pairs.length - 1].source += ` ${source}`;
+    } else if (pairs.length > 0 && !pairs[pairs.length - 1].target) {
+      // A leading sentence without a part joins the first one that has one
+      pairs[pairs.length - 1].source += ` ${source}`;
+      pairs[pairs.length - 1].target = target;
+    } else {
+      pairs.push({ source, target });
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Align a source text and its translation. options: { sourceLang,
+ * targetLang } (names or codes; unknown ones are detected) and `complete`,
+ * an async (request) => reply text used for the model fallback (omit it to
+ * skip the fallback).
+ */
+async function alignTexts(source, translation, { sourceLang, targetLang, complete } = {}) {
+  const lang = (name, text) => languageCode(name) || detectLanguage(text).language;
+  const sourceSentences = splitSentences(source, lang(sourceLang, source));
+  const targetSentences = splitSentences(translation, lang(targetLang, translation));
+
+  if (sourceSentences.length <= 1 && targetSentences.length <= 1) {
+    return { method: 'heuristic', pairs: [{ source: source.trim(), target: translation.trim() }] };
+  }
+
+  const aligned = alignByLength(sourceSentences, targetSentences);
+  if (aligned.ok) return { method: 'heuristic', pairs: aligned.pairs };
+
+  if (complete) {
+    const pairs = parseAlignmentReply(await complete(buildAlignmentRequest(sourceSentences, translation)), sourceSentences, translation);
+    if (pairs) return { method: 'model', pairs };
+  }
+  return { method: 'chunk', pairs: [{ source: source.trim(), target: translation.trim() }] };
+}
+
+/**
+ * Align a stored chunk: plain text, or (`segments`) a JSON segment batch
+ * and its translation, aligned segment by segment with each pair tagged
+ * with its `segment` id. The method is the weakest of the segments'.
+ */
+async function alignChunk(sourceText, translatedText, { segments = false, ...options } = {}) {
+  if (!segments) return alignTexts(sourceText, translatedText, options);
+
+  const methods = ['heuristic', 'model', 'chunk'];
+  const translations = JSON.parse(translatedText);
+  const pairs = [];
+  let method = 'heuristic';
+  for (const [id, source] of Object.entries(JSON.parse(sourceText))) {
+    if (typeof translations[id] !== 'string') continue;
+    const result = await alignTexts(source, translations[id], options);
+    if (methods.indexOf(result.method) > methods.indexOf(method)) method = result.method;
+    pairs.push(...result.pairs.map(pair => ({ segment: id, ...pair })));
+  }
+  return { method, pairs };
+}
+
+module.exports = { alignByLength, alignTexts, alignChunk, buildAlignmentRequest, parseAlignmentReply };
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { EXTENSIONS } = require('./formats');
+const { languageSlug } = require('./quality');
+
+/**
+ * Directory mode of the CLI: the input files of a directory or glob, where
+ * their outputs and progress databases go, and the manifest of a run
+ * (<output>/manifest.json, one entry per input file). Also names the
+ * output of each language when one input is translated into several.
+ */
+
+// Files a directory is searched for: plain text and the structured formats
+const TRANSLATABLE_EXTENSIONS = new Set(['.txt', '.text', ...Object.keys(EXTENSIONS)]);
+
+// Per-file progress databases, inside the output directory
+const STATE_DIRECTORY = '.easy-translator';
+const MANIFEST_FILE = 'manifest.json';
+
+// File statuses whose output can be kept while the input is unchanged
+const UP_TO_DATE_STATUSES = ['translated', 'needs_review'];
+
+// Totals of a manifest, by file status
+const MANIFEST_STATUSES = ['translated', 'needs_review', 'failed', 'error', 'cancelled', 'pending'];
+
+function isGlob(pattern) {
+  return /[*?[]/.test(pattern);
+}
+
+/**
+ * Whether a file name has one of the extensions a directory is searched for
+ */
+function isTranslatable(name) {
+  return TRANSLATABLE_EXTENSIONS.has(path.extname(name).toLowerCase());
+}
+
+/**
+ * RegExp for a glob over "/"-separated relative paths: `*` and `?` stay
+ * within a directory, `**` spans directories ("**\/" also matches none),
+ * `[...]` / `[!...]` are character classes
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const close = glob.indexOf(']', i + 2);
+      source += glob.slice(i, close + 1).replace(/^\[!/, '[^');
+      i = close;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Relative ("/"-separated) paths of the files below `dir`, skipping hidden
+ * files and directories and the directory `skip` (absolute)
+ */
+function walk(dir, skip, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (path.resolve(fullPath) !== skip) files.push(...walk(fullPath, skip, relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * The files to translate for `input`: every text or structured file below
+ * a directory, or the files matching a glob (e.g. "docs/**\/*.md", quoted
+ * so the shell leaves it alone). Resolves to [{ path, relative }] sorted by
+ * relative path; `exclude` (the output directory) is never searched.
+ */
+function findInputFiles(input, { exclude = null } = {}) {
+  let base = input;
+  let matches = isTranslatable;
+
+  if (isGlob(input)) {
+    const parts = input.split(/[\\/]/);
+    const first = parts.findIndex(isGlob);
+    base = parts.slice(0, first).join('/') || '.';
+    const pattern = globToRegExp(parts.slice(first).join('/'));
+    matches = (relative) => pattern.test(relative);
+  }
+  if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+    throw new Error(`Not a directory: ${base}`);
+  }
+
+  return walk(base, exclude ? path.resolve(exclude) : null)
+    .filter(matches)
+    .sort()
+    .map(relative => ({ path: path.join(base, relative), relative }));
+}
+
+/**
+ * Output path of an input file: the same relative path in `outputDir`, with
+ * `extension` appended for exports (e.g. "intro.md.xliff"). With several
+ * target languages each gets a subdirectory named by languageSlug()
+ * ("de/intro.md").
+ */
+function outputPathFor(outputDir, relative, extension = null, language = null) {
+  const name = extension ? `${relative}.${extension}` : relative;
+  return language ? path.join(outputDir, languageSlug(language), name) : path.join(outputDir, name);
+}
+
+/**
+ * Output file of one language when a single file is translated into
+ * several: a "{lang}" placeholder in `filePath` is replaced by
+ * languageSlug(), otherwise it goes before the extension
+ * ("book.txt" -> "book.de.txt")
+ */
+function languageOutputPath(filePath, language) {
+  const slug = languageSlug(language);
+  if (filePath.includes('{lang}')) return filePath.replaceAll('{lang}', slug);
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}.${slug}${extension}`;
+}
+
+/**
+ * Progress database of an input file
+ */
+function statePathFor(outputDir, relative) {
+  return path.join(outputDir, STATE_DIRECTORY, `${relative}.db`);
+}
+
+/**
+ * Status of a translated file in a manifest, from its chunk counts
+ * ({ needsReview, failure })
+ */
+function fileStatus(chunks) {
+  if (chunks.failure > 0) return 'failed';
+  return chunks.needsReview > 0 ? 'needs_review' : 'translated';
+}
+
+/**
+ * Totals of manifest `files` entries: files per status (the usual ones
+ * always present), skipped files, chunks and tokens. Entries translated
+ * into several languages (a `languages` map of { status }) are also counted
+ * per language and status.
+ */
+function manifestTotals(files) {
+  const sum = (value) => files.reduce((total, entry) => total + (value(entry) || 0), 0);
+  const statuses = Object.fromEntries(MANIFEST_STATUSES.map(status => [status, 0]));
+  for (const entry of files) statuses[entry.status] = (statuses[entry.status] || 0) + 1;
+  const totals = {
+    files: files.length,
+    ...statuses,
+    skipped: files.filter(entry => entry.skipped).length,
+    chunks: sum(entry => entry.chunks && entry.chunks.total),
+    promptTokens: sum(entry => entry.tokens && entry.tokens.prompt),
+    completionTokens: sum(entry => entry.tokens && entry.tokens.completion)
+  };
+
+  const languages = {};
+  for (const entry of files) {
+    for (const [language, result] of Object.entries(entry.languages || {})) {
+      languages[language] = languages[language] || { translated: 0, needs_review: 0, failed: 0 };
+      languages[language][result.status] = (languages[language][result.status] || 0) + 1;
+    }
+  }
+  if (Object.keys(languages).length > 0) totals.languages = languages;
+  return totals;
+}
+
+/**
+ * The manifest of the last run into `outputDir`, or null
+ */
+function readManifest(outputDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeManifest(outputDir, manifest) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Whether a file's manifest `entry` from an earlier run still holds: it was
+ * translated from the same source and settings ({ sourceHash, settingsHash })
+ * and its output (every output, given a list) exists
+ */
+function isUpToDate(entry, { sourceHash, settingsHash }, outputPath) {
+  return !!entry &&
+    UP_TO_DATE_STATUSES.includes(entry.status) &&
+    entry.sourceHash === sourceHash &&
+    entry.settingsHash === settingsHash &&
+    [].concat(outputPath).every(file => fs.existsSync(file));
+}
+
+module.exports = {
+  STATE_DIRECTORY,
+  MANIFEST_FILE,
+  isGlob,
+  isTranslatable,
+  globToRegExp,
+  findInputFiles,
+  outputPathFor,
+  languageOutputPath,
+  statePathFor,
+  fileStatus,
+  manifestTotals,
+  readManifest,
+  writeManifest,
+  isUpToDate
+};
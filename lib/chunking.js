@@ -0,0 +1,339 @@
+const { StringDecoder } = require('string_decoder');
+const { TERMINATORS, FULL_WIDTH_TERMINATORS, CLOSERS } = require('./sentences');
+const { tokenWeight } = require('./usage');
+
+// Clause punctuation for comma breaks; the full-width marks need no space after them
+const CLAUSE_MARKS = ',;，、；،؛';
+const FULL_WIDTH_CLAUSE_MARKS = '，、；';
+
+// Characters that attach to the one before them (combining marks, joiners,
+// variation selectors, emoji skin tones), for the fallback grapheme rules
+const EXTENDING = /^[\p{M}\u200C\u200D\uFE00-\uFE0F\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]/u;
+const WORD_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// Text beyond the search region given to Intl.Segmenter, so boundaries
+// near the edges are not decided on cut-off text
+const SEGMENT_MARGIN = 64;
+
+// Text a stream must have read past a chunk's search region before the
+// chunk's break is chosen, so it is chosen as on the whole text
+const STREAM_LOOKAHEAD = 4 * SEGMENT_MARGIN;
+
+const segmenters = {};
+
+// Intl.Segmenter of a granularity, or null where it is not available
+function getSegmenter(granularity) {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+  if (!segmenters[granularity]) segmenters[granularity] = new Intl.Segmenter(undefined, { granularity });
+  return segmenters[granularity];
+}
+
+// Segment boundaries in (from, to], from segmenting a window around them
+function segmentBoundaries(segmenter, text, from, to) {
+  const windowStart = Math.max(0, from - SEGMENT_MARGIN);
+  const region = text.substring(windowStart, Math.min(text.length, to + SEGMENT_MARGIN));
+  const boundaries = [];
+  for (const { index } of segmenter.segment(region)) {
+    const position = windowStart + index;
+    if (position > from && position <= to) boundaries.push(position);
+  }
+  return boundaries;
+}
+
+// Whether a sentence ends right before `pos`: a terminator (plus closing
+// quotes or brackets), followed by whitespace unless it is full-width
+function endsSentence(text, pos) {
+  let i = pos;
+  while (i > 0 && CLOSERS.includes(text[i - 1])) i--;
+  if (i === 0 || !TERMINATORS.includes(text[i - 1])) return false;
+  return FULL_WIDTH_TERMINATORS.includes(text[i - 1]) || pos === text.length || /\s/.test(text[pos]);
+}
+
+function isLowSurrogate(code) {
+  return code >= 0xDC00 && code <= 0xDFFF;
+}
+
+// Whether `pos` falls inside a grapheme cluster (fallback rules: surrogate
+// pairs and characters that extend the previous one)
+function splitsGrapheme(text, pos) {
+  if (pos <= 0 || pos >= text.length) return false;
+  if (isLowSurrogate(text.charCodeAt(pos)) && !isLowSurrogate(text.charCodeAt(pos - 1))) return true;
+  return EXTENDING.test(text.slice(pos, pos + 2)) || text[pos - 1] === '\u200D';
+}
+
+/**
+ * The grapheme cluster boundary at or before `pos` (after `min`), or the
+ * first one after `pos` when there is none in between
+ */
+function graphemeBoundary(text, pos, min) {
+  const segmenter = getSegmenter('grapheme');
+  if (segmenter) {
+    const boundaries = segmentBoundaries(segmenter, text, min, pos);
+    if (boundaries.length > 0) return boundaries[boundaries.length - 1];
+    return segmentBoundaries(segmenter, text, pos, text.length).find(b => b > min) ?? text.length;
+  }
+  let boundary = pos;
+  while (boundary > min && splitsGrapheme(text, boundary)) boundary--;
+  if (boundary > min) return boundary;
+  boundary = pos + 1;
+  while (boundary < text.length && splitsGrapheme(text, boundary)) boundary++;
+  return Math.min(boundary, text.length);
+}
+
+// Last sentence end in (from, to]: Intl.Segmenter's sentence boundaries
+// where a terminator ends the sentence (not bare line breaks), or the
+// terminator rules where it is not available
+function findSentenceBreak(text, from, to) {
+  const segmenter = getSegmenter('sentence');
+  if (segmenter) {
+    const boundaries = segmentBoundaries(segmenter, text, from, to);
+    for (let i = boundaries.length - 1; i >= 0; i--) {
+      let pos = boundaries[i];
+      while (pos > from && /\s/.test(text[pos - 1])) pos--;
+      if (pos > from && endsSentence(text, pos)) return pos;
+    }
+    return -1;
+  }
+  for (let pos = to; pos > from; pos--) {
+    if (endsSentence(text, pos)) return pos;
+  }
+  return -1;
+}
+
+// Last position in (from, to] after clause punctuation
+function findClauseBreak(text, from, to) {
+  for (let pos = to; pos > from; pos--) {
+    const mark = text[pos - 1];
+    if (!CLAUSE_MARKS.includes(mark)) continue;
+    if (FULL_WIDTH_CLAUSE_MARKS.includes(mark) || pos === text.length || /\s/.test(text[pos])) return pos;
+  }
+  return -1;
+}
+
+// Last position in (from, to] right after whitespace
+function findSpaceBreak(text, from, to) {
+  for (let pos = to; pos > from; pos--) {
+    if (/\s/.test(text[pos - 1])) return pos;
+  }
+  return -1;
+}
+
+// Last word boundary in (from, to], for scripts without spaces (Chinese,
+// Japanese, Thai, ...): Intl.Segmenter's word boundaries, or where it is
+// not available the boundaries next to a Han or kana character
+function findWordBreak(text, from, to) {
+  const segmenter = getSegmenter('word');
+  if (segmenter) {
+    const boundaries = segmentBoundaries(segmenter, text, from, to);
+    return boundaries.length > 0 ? boundaries[boundaries.length - 1] : -1;
+  }
+  for (let pos = to; pos > from; pos--) {
+    if (!splitsGrapheme(text, pos) && (WORD_CHARACTER.test(text[pos - 1]) || WORD_CHARACTER.test(text[pos]))) return pos;
+  }
+  return -1;
+}
+
+/**
+ * Search region of the chunk starting at `start` in token mode:
+ * { searchStart, searchEnd } where the piece from `start` reaches half and
+ * all of `budget` estimated tokens (searchEnd is text.length if the rest fits)
+ */
+function tokenWindow(text, start, budget) {
+  let tokens = 0;
+  let searchStart = -1;
+  let pos = start;
+  while (pos < text.length) {
+    const char = String.fromCodePoint(text.codePointAt(pos));
+    if (tokens + tokenWeight(char) > budget) break;
+    tokens += tokenWeight(char);
+    pos += char.length;
+    if (searchStart === -1 && tokens >= budget / 2) searchStart = pos;
+  }
+  // Keep at least one character per chunk, even over a tiny budget
+  if (pos === start && start < text.length) pos = start + String.fromCodePoint(text.codePointAt(start)).length;
+  return { searchStart: searchStart === -1 ? start : Math.min(searchStart, pos), searchEnd: pos };
+}
+
+/**
+ * Search region of the chunk starting at `start`: { searchStart, searchEnd }
+ * (see tokenWindow for token mode)
+ */
+function chunkWindow(text, start, chunkSize, tokens) {
+  return tokens
+    ? tokenWindow(text, start, chunkSize)
+    : { searchStart: start + Math.floor(chunkSize * 0.5), searchEnd: start + chunkSize };
+}
+
+/**
+ * Where the chunk whose search region is (searchStart, searchEnd] ends:
+ * { breakPos, boundary }, the best break point in priority order (see
+ * splitTextIntoChunks)
+ */
+function findChunkEnd(text, searchStart, searchEnd) {
+  // Priority 1: Paragraph break (double newline)
+  const paragraphMatch = text.lastIndexOf('\n\n', searchEnd - 2);
+  if (paragraphMatch >= searchStart) {
+    return { breakPos: paragraphMatch + 2, boundary: 'paragraph' }; // After the double newline
+  }
+
+  // Priorities 2-5: sentence end, clause punctuation, space, word boundary
+  for (const [find, boundary] of [
+    [findSentenceBreak, 'sentence'],
+    [findClauseBreak, 'comma'],
+    [findSpaceBreak, 'space'],
+    [findWordBreak, 'word']
+  ]) {
+    const breakPos = find(text, searchStart, searchEnd);
+    if (breakPos !== -1) return { breakPos, boundary };
+  }
+
+  // No good break point found, hard cut at chunk size
+  return { breakPos: graphemeBoundary(text, searchEnd, searchStart), boundary: 'hard' };
+}
+
+/**
+ * Chunks as they are cut: `add(raw, boundary)` takes the next piece of the
+ * source. Whitespace around a chunk stays out of the translation and is put
+ * back by joinChunks, so paragraphs only break where the source did; a
+ * whitespace-only piece is attached to a neighbouring chunk.
+ */
+function createChunkList() {
+  const chunks = [];
+  let pendingLeading = '';
+
+  return {
+    chunks,
+    add(raw, boundary) {
+      const [, leading, core, trailing] = raw.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      if (!core) {
+        if (chunks.length > 0) {
+          chunks[chunks.length - 1].trailing += raw;
+        } else {
+          pendingLeading += raw;
+        }
+        return;
+      }
+      chunks.push({ text: core, leading: pendingLeading + leading, trailing, boundary });
+      pendingLeading = '';
+    }
+  };
+}
+
+/**
+ * Smart chunking - finds best break points in priority order:
+ * 1. Paragraph breaks (double newline)
+ * 2. Sentence endings (Latin . ! ? …, CJK 。！？, Arabic ؟ ۔, Devanagari । ॥)
+ * 3. Clause punctuation (, ; and their CJK/Arabic forms)
+ * 4. Spaces
+ * 5. Word boundaries in scripts without spaces
+ * A hard cut at the chunk size never splits a grapheme cluster (a
+ * surrogate pair, a letter and its combining marks, an emoji sequence).
+ * Sentence, word and grapheme boundaries come from Intl.Segmenter when the
+ * runtime has it, otherwise from the rules above.
+ *
+ * Each chunk is { text, leading, trailing, boundary }: the text to
+ * translate, the whitespace around it in the source, and how the chunker
+ * ended it ('paragraph', 'sentence', 'comma', 'space', 'word', 'hard' or
+ * 'end'). Joining leading + text + trailing for every chunk gives back the
+ * source.
+ *
+ * `chunkSize` is in characters, or with `tokens` in estimated tokens (see
+ * lib/usage.js), so scripts that need more tokens per character get
+ * shorter chunks.
+ */
+function splitTextIntoChunks(text, chunkSize = 4000, { tokens = false } = {}) {
+  const list = createChunkList();
+  let startPos = 0;
+
+  while (startPos < text.length) {
+    // Don't break too early: search the second half of the chunk size
+    const { searchStart, searchEnd } = chunkWindow(text, startPos, chunkSize, tokens);
+
+    // If remaining text fits in one chunk, take it all
+    if (searchEnd >= text.length) {
+      list.add(text.substring(startPos), 'end');
+      break;
+    }
+
+    const { breakPos, boundary } = findChunkEnd(text, searchStart, searchEnd);
+    list.add(text.substring(startPos, breakPos), boundary);
+    startPos = breakPos;
+  }
+
+  return list.chunks;
+}
+
+/**
+ * splitTextIntoChunks() over a stream: yields the chunks of `input` (a
+ * Readable or any async iterable of Buffers or strings, e.g. process.stdin)
+ * as it is read, holding only the text of the chunk being cut plus a short
+ * lookahead. Breaks are chosen as on the whole text. A chunk is yielded
+ * once the next one is cut, since trailing whitespace may still be added
+ * to it.
+ */
+async function* streamTextChunks(input, chunkSize = 4000, { tokens = false } = {}) {
+  const decoder = new StringDecoder('utf8');
+  const list = createChunkList();
+  const reader = input[Symbol.asyncIterator]();
+  let text = '';
+  let ended = false;
+
+  while (!ended || text.length > 0) {
+    const { searchStart, searchEnd } = chunkWindow(text, 0, chunkSize, tokens);
+    if (!ended && searchEnd + STREAM_LOOKAHEAD >= text.length) {
+      const { value, done } = await reader.next();
+      if (done) {
+        text += decoder.end();
+        ended = true;
+      } else {
+        text += typeof value === 'string' ? value : decoder.write(value);
+      }
+      continue;
+    }
+
+    if (searchEnd >= text.length) {
+      list.add(text, 'end');
+      break;
+    }
+    const { breakPos, boundary } = findChunkEnd(text, searchStart, searchEnd);
+    list.add(text.substring(0, breakPos), boundary);
+    text = text.substring(breakPos);
+    while (list.chunks.length > 1) yield list.chunks.shift();
+  }
+
+  yield* list.chunks;
+}
+
+/**
+ * Split a chunk's text into smaller pieces (about half its length each),
+ * for a chunk whose translation was cut off at the output token limit.
+ * Pieces are chunks like splitTextIntoChunks'; null if it can't be split.
+ */
+function splitChunk(text) {
+  if (text.length < 2) return null;
+  const pieces = splitTextIntoChunks(text, Math.ceil(text.length / 2));
+  return pieces.length > 1 ? pieces : null;
+}
+
+/**
+ * Reassemble translated chunks ({ translated, leading, trailing }) with the
+ * source's whitespace between them. Chunks stored before the whitespace was
+ * recorded (leading/trailing null) fall back to a blank line between chunks.
+ */
+function joinChunks(chunks) {
+  return chunks.map(joinChunk).join('');
+}
+
+/**
+ * The text of chunk `index` in joinChunks()' output, for writing chunks
+ * out one at a time
+ */
+function joinChunk(chunk, index) {
+  const translated = chunk.translated.trim();
+  if (chunk.leading == null || chunk.trailing == null) {
+    return (index > 0 ? '\n\n' : '') + translated;
+  }
+  return chunk.leading + translated + chunk.trailing;
+}
+
+module.exports = { splitTextIntoChunks, streamTextChunks, splitChunk, joinChunks, joinChunk };
@@ -0,0 +1,69 @@
+/**
+ * Minimal RFC 4180 CSV parser - handles quoted fields, escaped quotes
+ * and newlines inside quotes. Returns an array of rows (arrays of strings).
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip BOM
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last field (no trailing newline)
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Serialize rows back to CSV, quoting only fields that need it
+ */
+function stringifyCsv(rows, delimiter = ',') {
+  return rows.map(row => row.map(value => {
+    const str = value === null || value === undefined ? '' : String(value);
+    if (str.includes('"') || str.includes(delimiter) || str.includes('\n') || str.includes('\r')) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  }).join(delimiter)).join('\n');
+}
+
+module.exports = { parseCsv, stringifyCsv };
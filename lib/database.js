@@ -0,0 +1,255 @@
+const sqlite3 = require('sqlite3').verbose();
+
+/**
+ * Per-file progress database: one `translations` row per chunk and target
+ * language, plus a `metadata` table recording what the chunks were made
+ * from (see lib/resume.js). Used by the CLI (<input>.db next to the input
+ * file) and by the server (one database per job).
+ */
+
+/**
+ * Initialize the SQLite database
+ */
+function initializeDatabase(dbPath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS translations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sequence_number INTEGER NOT NULL,
+          source_text TEXT NOT NULL,
+          translated_text TEXT,
+          source_lang TEXT,
+          target_lang TEXT,
+          status TEXT DEFAULT 'pending',
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          error_message TEXT,
+          chunk_size INTEGER,
+          glossary_violations TEXT,
+          from_memory INTEGER DEFAULT 0,
+          context_notes TEXT,
+          leading_whitespace TEXT,
+          trailing_whitespace TEXT,
+          boundary TEXT,
+          attempts INTEGER DEFAULT 0,
+          prompt_tokens INTEGER DEFAULT 0,
+          completion_tokens INTEGER DEFAULT 0,
+          quality_issues TEXT,
+          sentence_pairs TEXT,
+          alignment TEXT
+        )
+      `, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        ensureColumns(db, 'translations', {
+          glossary_violations: 'TEXT',
+          from_memory: 'INTEGER DEFAULT 0',
+          context_notes: 'TEXT',
+          leading_whitespace: 'TEXT',
+          trailing_whitespace: 'TEXT',
+          boundary: 'TEXT',
+          attempts: 'INTEGER DEFAULT 0',
+          prompt_tokens: 'INTEGER DEFAULT 0',
+          completion_tokens: 'INTEGER DEFAULT 0',
+          quality_issues: 'TEXT',
+          sentence_pairs: 'TEXT',
+          alignment: 'TEXT'
+        })
+          .then(() => new Promise((resolveTable, rejectTable) => {
+            db.run('CREATE TABLE IF NOT EXISTS metadata (key TEXT PRIMARY KEY, value TEXT)', (err) => {
+              if (err) rejectTable(err);
+              else resolveTable();
+            });
+          }))
+          .then(() => resolve(db), reject);
+      });
+    });
+  });
+}
+
+/**
+ * The recorded run: { sourceHash, settings }, or null for a database
+ * created before runs were recorded
+ */
+function readMetadata(db) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT key, value FROM metadata', (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const values = Object.fromEntries(rows.map(row => [row.key, row.value]));
+      if (!values.source_hash) {
+        resolve(null);
+        return;
+      }
+      resolve({ sourceHash: values.source_hash, settings: JSON.parse(values.settings || '{}') });
+    });
+  });
+}
+
+/**
+ * Record the source hash and settings of the run that made the chunks
+ */
+function writeMetadata(db, { sourceHash, settings }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?), (?, ?)',
+      ['source_hash', sourceHash, 'settings', JSON.stringify(settings)],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+}
+
+/**
+ * Add columns introduced after a database was first created,
+ * so older .db files can still be resumed
+ */
+function ensureColumns(db, table, columns) {
+  return new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const existing = new Set(rows.map(r => r.name));
+      const missing = Object.entries(columns).filter(([name]) => !existing.has(name));
+
+      let remaining = missing.length;
+      if (remaining === 0) {
+        resolve();
+        return;
+      }
+
+      for (const [name, type] of missing) {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          if (--remaining === 0) resolve();
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Store chunks in the database, replacing any stored before: one row per
+ * chunk and target language (`targetLang` is a language or a list of
+ * them), all rows of a chunk sharing its sequence number. A chunk matched
+ * by lib/resume.js keeps its translation: `previous` (the stored row of the
+ * same text) is copied over, `translated` is stored as a successful
+ * translation; other chunks are pending. An imported project's rows are
+ * copied as `previous` too, failures included. With several targets the
+ * match of each is in `chunk.targets[language]` ({ previous, translated }).
+ */
+function storeChunksInDatabase(db, chunks, sourceLang, targetLang, chunkSize) {
+  const rows = [].concat(targetLang).flatMap(target => chunks.map((chunk, i) => ({ chunk, i, target })));
+
+  return new Promise((resolve, reject) => {
+    db.run('BEGIN TRANSACTION', (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      db.run('DELETE FROM translations', (err) => {
+        if (err) {
+          db.run('ROLLBACK', () => reject(err));
+          return;
+        }
+
+        const stmt = db.prepare(`
+          INSERT INTO translations (
+            sequence_number, source_text, source_lang, target_lang, chunk_size,
+            leading_whitespace, trailing_whitespace, boundary,
+            translated_text, status, error_message, quality_issues, glossary_violations, from_memory,
+            attempts, prompt_tokens, completion_tokens, sentence_pairs, alignment
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        let insertCount = 0;
+        const totalRows = rows.length;
+        // Empty input: nothing to insert
+        if (totalRows === 0) {
+          stmt.finalize();
+          db.run('COMMIT', (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+          return;
+        }
+
+        for (const { chunk, i, target } of rows) {
+          const match = (chunk.targets && chunk.targets[target]) || chunk;
+          const kept = match.previous || (match.translated ? { translated_text: match.translated, status: 'success' } : {});
+          stmt.run(
+            i, chunk.text, sourceLang, target, chunkSize, chunk.leading, chunk.trailing, chunk.boundary,
+            kept.translated_text || null, kept.status || 'pending', kept.error_message || null, kept.quality_issues || null,
+            kept.glossary_violations || null, kept.from_memory || 0, kept.attempts || 0,
+            kept.prompt_tokens || 0, kept.completion_tokens || 0, kept.sentence_pairs || null, kept.alignment || null,
+            (err) => {
+              if (err) {
+                console.error(`Error inserting chunk ${i} (${target}):`, err);
+              }
+              insertCount++;
+
+              // When all inserts are done, finalize and commit
+              if (insertCount === totalRows) {
+                stmt.finalize();
+                db.run('COMMIT', (err) => {
+                  if (err) {
+                    reject(err);
+                    return;
+                  }
+                  resolve();
+                });
+              }
+            }
+          );
+        }
+      });
+    });
+  });
+}
+
+/**
+ * The rows of one target language (null for rows without one) in chunk
+ * order, read `pageSize` at a time, so writing out a long translation never
+ * holds all of it in memory. `columns` must include sequence_number.
+ */
+async function* readTranslations(db, targetLang, columns, pageSize = 200) {
+  let after = -1;
+  for (;;) {
+    const rows = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT ${columns}
+        FROM translations
+        WHERE target_lang IS ? AND sequence_number > ?
+        ORDER BY sequence_number
+        LIMIT ?
+      `, [targetLang, after, pageSize], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+    yield* rows;
+    if (rows.length < pageSize) return;
+    after = rows[rows.length - 1].sequence_number;
+  }
+}
+
+module.exports = { initializeDatabase, ensureColumns, readMetadata, writeMetadata, storeChunksInDatabase, readTranslations };
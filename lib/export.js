@@ -0,0 +1,207 @@
+const { stringifyCsv } = require('./csv');
+const { buildTmx, escapeXml, languageTag } = require('./tmx');
+
+/**
+ * Bilingual exports for reviewers and CAT tools, built from the stored
+ * source/translation pairs instead of the translated document.
+ *
+ * A pair is { id, source, target, status, notes }: `target` is null when
+ * the chunk has no translation (pending or failed) and `notes` lists its
+ * quality issues. Plain text gives one pair per chunk (id = chunk number),
+ * structured files one pair per text segment (id = segment id). Chunks
+ * aligned at sentence level (lib/alignment.js) give one pair per sentence
+ * pair instead, numbered within the chunk or segment ("3.1", "3.2") and
+ * flagged `sentence`.
+ */
+
+// Format -> file name suffix of the export ("translated.<suffix>");
+// 'document' is the translated file itself
+const EXPORT_FORMATS = {
+  document: null,
+  bilingual: 'bilingual.txt',
+  html: 'bilingual.html',
+  csv: 'bilingual.csv',
+  tsv: 'bilingual.tsv',
+  xliff: 'xlf',
+  xliff2: 'xlf',
+  tmx: 'tmx'
+};
+
+const DONE_STATUSES = ['success', 'needs_review'];
+
+// Sentence pairs of a chunk (of one segment if `segment` is given) as
+// export pairs numbered under `id`
+function sentencePairs(sentences, id, row, notes, segment = null) {
+  return sentences
+    .filter(pair => segment === null || pair.segment === segment)
+    .map((pair, i) => ({ id: `${id}.${i + 1}`, source: pair.source, target: pair.target, status: row.status, notes, sentence: true }));
+}
+
+/**
+ * Pairs from `translations` rows (source_text, translated_text, status,
+ * quality_issues, sequence_number and optionally sentence_pairs);
+ * `segments` when the rows hold JSON segment batches
+ */
+function pairsFromRows(rows, { segments = false } = {}) {
+  const pairs = [];
+  for (const row of rows) {
+    const done = DONE_STATUSES.includes(row.status);
+    const notes = row.quality_issues ? JSON.parse(row.quality_issues).map(issue => issue.message) : [];
+    const sentences = done && row.sentence_pairs ? JSON.parse(row.sentence_pairs) : null;
+
+    if (!segments && sentences) {
+      pairs.push(...sentencePairs(sentences, String(row.sequence_number + 1), row, notes));
+      continue;
+    }
+    if (!segments) {
+      pairs.push({
+        id: String(row.sequence_number + 1),
+        source: row.source_text,
+        target: done ? row.translated_text : null,
+        status: row.status,
+        notes
+      });
+      continue;
+    }
+
+    const translations = done ? JSON.parse(row.translated_text) : {};
+    for (const [id, source] of Object.entries(JSON.parse(row.source_text))) {
+      if (sentences && sentences.some(pair => pair.segment === id)) {
+        pairs.push(...sentencePairs(sentences, id, row, notes, id));
+        continue;
+      }
+      pairs.push({
+        id,
+        source,
+        target: typeof translations[id] === 'string' ? translations[id] : null,
+        status: row.status,
+        notes
+      });
+    }
+  }
+  return pairs;
+}
+
+function buildBilingualText(pairs) {
+  return pairs.map(pair => `[${pair.id}]\n${pair.source}\n\n${pair.target ?? '[NOT TRANSLATED]'}\n`).join('\n');
+}
+
+function buildHtmlTable(pairs, { sourceLang, targetLang, title }) {
+  const rows = pairs.map(pair => [
+    `    <tr${pair.notes.length > 0 ? ' class="review"' : ''}>`,
+    `      <td>${escapeXml(pair.id)}</td>`,
+    `      <td lang="${escapeXml(sourceLang)}">${escapeXml(pair.source)}</td>`,
+    `      <td lang="${escapeXml(targetLang)}">${pair.target === null ? '' : escapeXml(pair.target)}` +
+      (pair.notes.length > 0 ? `<p class="notes">${escapeXml(pair.notes.join('; '))}</p>` : '') + '</td>',
+    '    </tr>'
+  ].join('\n'));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="UTF-8">',
+    `  <title>${escapeXml(title)}</title>`,
+    '  <style>',
+    '    body { font-family: sans-serif; margin: 24px; }',
+    '    table { border-collapse: collapse; width: 100%; }',
+    '    th, td { border: 1px solid #ddd; padding: 8px; vertical-align: top; text-align: left; white-space: pre-wrap; }',
+    '    th:first-child, td:first-child { width: 1%; color: #666; }',
+    '    tr.review td { background: #fef9c3; }',
+    '    .notes { color: #b45309; font-size: 12px; margin: 8px 0 0; }',
+    '  </style>',
+    '</head>',
+    '<body>',
+    '  <table>',
+    `    <tr><th>#</th><th>Source (${escapeXml(sourceLang)})</th><th>Translation (${escapeXml(targetLang)})</th></tr>`,
+    ...rows,
+    '  </table>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function buildDelimited(pairs, delimiter) {
+  const rows = [['id', 'source', 'target', 'status']];
+  for (const pair of pairs) rows.push([pair.id, pair.source, pair.target ?? '', pair.status]);
+  return stringifyCsv(rows, delimiter) + '\n';
+}
+
+// XLIFF 1.2 target states
+const XLIFF1_STATES = { success: 'translated', needs_review: 'needs-review-translation' };
+
+function buildXliff1(pairs, { sourceLang, targetLang, fileName }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    `  <file original="${escapeXml(fileName)}" source-language="${escapeXml(sourceLang)}" target-language="${escapeXml(targetLang)}" datatype="plaintext">`,
+    '    <body>'
+  ];
+  for (const pair of pairs) {
+    lines.push(`      <trans-unit id="${escapeXml(pair.id)}" xml:space="preserve">`);
+    lines.push(`        <source>${escapeXml(pair.source)}</source>`);
+    if (pair.target !== null) {
+      lines.push(`        <target state="${XLIFF1_STATES[pair.status] || 'translated'}">${escapeXml(pair.target)}</target>`);
+    }
+    for (const note of pair.notes) lines.push(`        <note>${escapeXml(note)}</note>`);
+    lines.push('      </trans-unit>');
+  }
+  lines.push('    </body>', '  </file>', '</xliff>', '');
+  return lines.join('\n');
+}
+
+function buildXliff2(pairs, { sourceLang, targetLang, fileName }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXml(sourceLang)}" trgLang="${escapeXml(targetLang)}">`,
+    `  <file id="f1" original="${escapeXml(fileName)}">`
+  ];
+  for (const pair of pairs) {
+    lines.push(`    <unit id="${escapeXml(pair.id)}">`);
+    if (pair.notes.length > 0) {
+      lines.push('      <notes>');
+      for (const note of pair.notes) lines.push(`        <note category="quality">${escapeXml(note)}</note>`);
+      lines.push('      </notes>');
+    }
+    lines.push(`      <segment state="${pair.target === null ? 'initial' : 'translated'}">`);
+    lines.push(`        <source xml:space="preserve">${escapeXml(pair.source)}</source>`);
+    if (pair.target !== null) {
+      lines.push(`        <target xml:space="preserve">${escapeXml(pair.target)}</target>`);
+    }
+    lines.push('      </segment>', '    </unit>');
+  }
+  lines.push('  </file>', '</xliff>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Serialize pairs in an export format (any key of EXPORT_FORMATS but
+ * 'document'). options: { sourceLang, targetLang } (names or codes) and
+ * `fileName` of the source file.
+ */
+function buildExport(pairs, format, { sourceLang, targetLang, fileName = 'document' } = {}) {
+  // 'und' (undetermined) where a format needs a language it doesn't know
+  const sourceTag = languageTag(sourceLang);
+  const targetTag = languageTag(targetLang);
+  const options = { sourceLang: sourceTag || 'und', targetLang: targetTag || 'und', fileName, title: fileName };
+  switch (format) {
+    case 'bilingual': return buildBilingualText(pairs);
+    case 'html': return buildHtmlTable(pairs, options);
+    case 'csv': return buildDelimited(pairs, ',');
+    case 'tsv': return buildDelimited(pairs, '\t');
+    case 'xliff': return buildXliff1(pairs, options);
+    case 'xliff2': return buildXliff2(pairs, options);
+    case 'tmx':
+      return buildTmx(pairs.filter(pair => pair.target !== null).map(pair => ({
+        source: pair.source,
+        target: pair.target,
+        sourceLang: sourceTag,
+        targetLang: targetTag
+      })), { srcLang: sourceTag, segType: pairs.some(pair => pair.sentence) ? 'sentence' : undefined });
+    default:
+      throw new Error(`Unknown export format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+}
+
+module.exports = { EXPORT_FORMATS, pairsFromRows, buildExport };
@@ -0,0 +1,60 @@
+const { parseCsv, stringifyCsv } = require('../csv');
+const { createCollector } = require('../segments');
+
+/**
+ * Guess the delimiter from the first line: tab, semicolon or comma
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split('\n')[0];
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * CSV/TSV: cells in the chosen columns are translated, the header row and
+ * the other columns are kept. `options.columns` holds header names or
+ * 1-based column numbers; without it every column is translated.
+ */
+function extract(text, options = {}) {
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const rows = parseCsv(text, delimiter);
+  const header = rows[0] || [];
+
+  let columns = null;
+  if (options.columns && options.columns.length > 0) {
+    columns = new Set(options.columns.map(column => {
+      const index = /^\d+$/.test(String(column)) ? parseInt(column, 10) - 1 : header.indexOf(column);
+      if (index < 0) throw new Error(`CSV column not found: ${column}`);
+      return index;
+    }));
+  }
+
+  const collector = createCollector();
+  const cells = [];
+
+  for (let r = 1; r < rows.length; r++) {
+    for (let c = 0; c < rows[r].length; c++) {
+      if (columns && !columns.has(c)) continue;
+      const from = collector.position();
+      collector.segment(rows[r][c]);
+      cells.push({ r, c, from, to: collector.position() });
+    }
+  }
+
+  const newline = text.includes('\r\n') ? '\r\n' : '\n';
+  const trailing = /\r?\n$/.test(text) ? newline : '';
+
+  return {
+    segments: collector.segments,
+    rebuild(translations) {
+      const output = rows.map(row => row.slice());
+      for (const cell of cells) {
+        output[cell.r][cell.c] = collector.rebuild(translations, cell.from, cell.to);
+      }
+      return stringifyCsv(output, delimiter).replace(/\n/g, newline) + trailing;
+    }
+  };
+}
+
+module.exports = { extract, detectDelimiter };
@@ -0,0 +1,114 @@
+const { createCollector } = require('../segments');
+
+// Elements whose whole content is never translated
+const SKIP_ELEMENTS = new Set(['script', 'style', 'pre', 'textarea', 'svg', 'math', 'template']);
+
+// Inline elements stay inside the surrounding sentence as placeholders
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font',
+  'i', 'ins', 'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup',
+  'time', 'u', 'var', 'wbr'
+]);
+
+const TOKEN = /<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<\/?[a-zA-Z][^>]*>|[^<]+|</g;
+const TRANSLATABLE_ATTRIBUTE = /(\s(?:alt|title)\s*=\s*)(["'])([\s\S]*?)\2/gi;
+
+// Inside a text run: inline code-like elements with their content, any tag,
+// and character references, which a model may decode or rewrite
+const RUN_PROTECT = /<(code|kbd|samp|var)\b[^>]*>[\s\S]*?<\/\1\s*>|<[^>]+>|&(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);/g;
+
+function tagName(token) {
+  const match = token.match(/^<\/?([a-zA-Z][a-zA-Z0-9-]*)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&(?![a-zA-Z]+;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function escapeText(value) {
+  return value.replace(/<(?![a-zA-Z/!])/g, '&lt;');
+}
+
+/**
+ * HTML: text content and `alt`/`title` attributes are translated. Text
+ * between block-level tags is one segment, with inline tags swapped for
+ * placeholders so the sentence stays whole. Script, style, pre and similar
+ * elements, comments and all other markup are kept as they are.
+ */
+function extract(text) {
+  const collector = createCollector();
+  const { literal, segment } = collector;
+  const tokens = text.match(TOKEN) || [];
+
+  let run = '';
+  let skipping = null;
+
+  function flushRun() {
+    if (!run) return;
+    segment(run, { protect: RUN_PROTECT, escape: escapeText });
+    run = '';
+  }
+
+  // Tag with translatable attributes: split it around the attribute values
+  function emitTag(token) {
+    let last = 0;
+    token.replace(TRANSLATABLE_ATTRIBUTE, (match, prefix, quote, value, offset) => {
+      literal(token.slice(last, offset) + prefix + quote);
+      segment(value, { escape: escapeAttribute });
+      literal(quote);
+      last = offset + match.length;
+      return match;
+    });
+    literal(token.slice(last));
+  }
+
+  for (const token of tokens) {
+    const name = token[0] === '<' ? tagName(token) : null;
+
+    if (skipping) {
+      literal(token);
+      if (name === skipping && token.startsWith('</')) skipping = null;
+      continue;
+    }
+
+    if (!name) {
+      // Text (or a stray "<"), comment, doctype, processing instruction
+      if (token.startsWith('<!') || token.startsWith('<?')) {
+        flushRun();
+        literal(token);
+      } else {
+        run += token;
+      }
+      continue;
+    }
+
+    const hasAttributes = TRANSLATABLE_ATTRIBUTE.test(token);
+    TRANSLATABLE_ATTRIBUTE.lastIndex = 0;
+
+    if (INLINE_ELEMENTS.has(name) && !hasAttributes && run.trim()) {
+      run += token;
+      continue;
+    }
+
+    flushRun();
+
+    if (SKIP_ELEMENTS.has(name) && !token.startsWith('</') && !token.endsWith('/>')) {
+      skipping = name;
+    }
+
+    if (hasAttributes) {
+      emitTag(token);
+    } else if (INLINE_ELEMENTS.has(name) && !token.startsWith('</')) {
+      // Inline tag opening a run (e.g. "<p><b>Note:</b> ...")
+      run += token;
+    } else {
+      literal(token);
+    }
+  }
+
+  flushRun();
+  return collector;
+}
+
+module.exports = { extract };
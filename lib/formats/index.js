@@ -0,0 +1,48 @@
+const path = require('path');
+const markdown = require('./markdown');
+const html = require('./html');
+const json = require('./json');
+const csv = require('./csv');
+const subtitles = require('./subtitles');
+
+const HANDLERS = { markdown, html, json, csv, subtitles };
+
+const EXTENSIONS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.json': 'json',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.srt': 'subtitles',
+  '.vtt': 'subtitles'
+};
+
+// Human-readable names used in the model instructions
+const FORMAT_NAMES = { markdown: 'Markdown', html: 'HTML', json: 'JSON', csv: 'CSV', subtitles: 'subtitle (SRT/WebVTT)' };
+
+/**
+ * Structured format for a file name, or 'text' for plain text
+ */
+function detectFormat(filePath) {
+  return EXTENSIONS[path.extname(filePath).toLowerCase()] || 'text';
+}
+
+/**
+ * Parse a structured document into { segments, rebuild(translations) }.
+ * `options` may hold `keys` (JSON allowlist), `columns` (CSV columns) and
+ * `maxLineLength` (subtitle line wrapping).
+ */
+function extractDocument(format, text, options = {}) {
+  const handler = HANDLERS[format];
+  if (!handler) {
+    throw new Error(`Unsupported format: ${format}`);
+  }
+  if (format === 'csv' && !options.delimiter && path.extname(options.fileName || '').toLowerCase() === '.tsv') {
+    options = { ...options, delimiter: '\t' };
+  }
+  return handler.extract(text, options);
+}
+
+module.exports = { detectFormat, extractDocument, FORMAT_NAMES, FORMATS: Object.keys(HANDLERS), EXTENSIONS };
@@ -0,0 +1,105 @@
+const { createCollector } = require('../segments');
+
+// Interpolation variables and markup common in i18n strings
+const VALUE_PROTECT = /\{\{[^}]*\}\}|\{[^}\s]*\}|%(?:\([^)]*\))?[sdif@]|\$\{[^}]*\}|<[^>]+>/g;
+
+const URL_LIKE = /^(?:[a-z][a-z0-9+.-]*:\/\/|mailto:|#|\/)\S*$/i;
+
+// Without a key allowlist: keys that name identifiers rather than text
+// ("id", "user_id", "productId", "slug", ...) and single-word values with a
+// digit, "_" or "/" ("x1", "btn_save", "v2.0") are not translated
+const ID_KEY = /^(?:id|uuid|guid|key|slug|sku|ref|href|url|uri|src|path|type|code|locale|lang)$|[_-](?:id|key|url|code)$/i;
+const ID_KEY_CAMEL = /[a-z](?:Id|Key|Url|Code)$/;
+const ID_LIKE = /^[\p{L}\p{N}_.:\/#-]+$/u;
+const ID_MARK = /[\p{N}_\/]/u;
+
+/**
+ * Find every string value (not object keys) in JSON text, in document
+ * order, with its offsets and the key it belongs to. Strings inside an
+ * array belong to the array's key.
+ */
+function scanStringValues(text) {
+  const values = [];
+  const stack = [];
+
+  const ownerKey = () => {
+    const top = stack[stack.length - 1];
+    if (!top) return null;
+    return top.type === 'object' ? top.lastKey : top.key;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '{' || char === '[') {
+      stack.push({ type: char === '{' ? 'object' : 'array', key: ownerKey(), lastKey: null, expectKey: char === '{' });
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    } else if (char === ',') {
+      const top = stack[stack.length - 1];
+      if (top && top.type === 'object') top.expectKey = true;
+    } else if (char === ':') {
+      stack[stack.length - 1].expectKey = false;
+    } else if (char === '"') {
+      let end = i + 1;
+      while (text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      const value = JSON.parse(text.slice(i, end + 1));
+      const top = stack[stack.length - 1];
+
+      if (top && top.type === 'object' && top.expectKey) {
+        top.lastKey = value;
+      } else {
+        values.push({ start: i, end: end + 1, value, key: ownerKey() });
+      }
+      i = end;
+    }
+  }
+
+  return values;
+}
+
+function isIdentifier({ key, value }) {
+  if (key && (ID_KEY.test(key) || ID_KEY_CAMEL.test(key))) return true;
+  return ID_LIKE.test(value) && ID_MARK.test(value);
+}
+
+/**
+ * JSON: string values are translated, keys and everything else are not.
+ * With `options.keys` only values under those keys are translated; without
+ * them, values under id-like keys and id-like values are skipped (see
+ * ID_KEY). Values that look like URLs or paths are always skipped. Only
+ * the translated string literals are replaced, so formatting is kept
+ * exactly.
+ */
+function extract(text, options = {}) {
+  JSON.parse(text); // Reject invalid JSON up front
+
+  const allowed = options.keys && options.keys.length > 0 ? new Set(options.keys) : null;
+  const collector = createCollector();
+  const values = [];
+
+  for (const value of scanStringValues(text)) {
+    if (allowed ? !allowed.has(value.key) : isIdentifier(value)) continue;
+    if (URL_LIKE.test(value.value)) continue;
+    const from = collector.position();
+    collector.segment(value.value, { protect: VALUE_PROTECT });
+    values.push({ ...value, from, to: collector.position() });
+  }
+
+  return {
+    segments: collector.segments,
+    rebuild(translations) {
+      let output = '';
+      let last = 0;
+      for (const value of values) {
+        output += text.slice(last, value.start) + JSON.stringify(collector.rebuild(translations, value.from, value.to));
+        last = value.end;
+      }
+      return output + text.slice(last);
+    }
+  };
+}
+
+module.exports = { extract };
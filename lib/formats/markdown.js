@@ -0,0 +1,111 @@
+const { createCollector } = require('../segments');
+
+// Inline spans kept out of translation: code, link/image targets,
+// autolinks, bare URLs and inline HTML tags
+const INLINE_PROTECT = /`+[^`]*?`+|\]\([^)]*\)|\]\[[^\]]*\]|<(?:https?:|mailto:)[^>]+>|https?:\/\/[^\s)>\]]*[^\s)>\].,;:!?]|<\/?[a-zA-Z][^>]*>/g;
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+const HEADING = /^(\s{0,3}#{1,6}\s+)(.*?)(\s+#+\s*)?$/;
+const LIST_ITEM = /^(\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?)(.*)$/;
+const BLOCKQUOTE = /^(\s*(?:>\s?)+)(.*)$/;
+const HORIZONTAL_RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const LINK_DEFINITION = /^\s{0,3}\[[^\]]+\]:\s*\S+/;
+const HTML_LINE = /^\s*<\/?[a-zA-Z][^>]*>\s*$/;
+
+/**
+ * Markdown: headings, paragraphs, list items, blockquotes and table cells
+ * are translated; code fences, indented code, front matter, link targets,
+ * URLs and inline code are kept as they are.
+ */
+function extract(text) {
+  // Work on LF line endings and put CRLF back on rebuild
+  const crlf = text.includes('\r\n');
+  const lines = (crlf ? text.replace(/\r\n/g, '\n') : text).split('\n');
+
+  const collector = createCollector();
+  const { literal, segment } = collector;
+  const protect = { protect: INLINE_PROTECT };
+
+  let fence = null;
+  let paragraph = [];
+
+  // Consecutive prose lines are one segment so sentences aren't cut at wraps
+  function flushParagraph(newlineAfter) {
+    if (paragraph.length === 0) return;
+    segment(paragraph.join('\n'), protect);
+    literal(newlineAfter);
+    paragraph = [];
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const newline = i < lines.length - 1 ? '\n' : '';
+
+    // Front matter
+    if (i === 0 && line === '---') {
+      const end = lines.indexOf('---', 1);
+      if (end !== -1) {
+        literal(lines.slice(0, end + 1).join('\n') + (end < lines.length - 1 ? '\n' : ''));
+        i = end;
+        continue;
+      }
+    }
+
+    const fenceMatch = line.match(FENCE);
+    const heading = line.match(HEADING);
+    const listItem = !heading && line.match(LIST_ITEM);
+    const quote = !heading && !listItem && line.match(BLOCKQUOTE);
+    const isTableRow = /^\s*\|.*\|\s*$/.test(line);
+    const isStructural = fence || fenceMatch ||
+      line.trim() === '' ||
+      HORIZONTAL_RULE.test(line) ||
+      (TABLE_DIVIDER.test(line) && line.includes('-')) ||
+      LINK_DEFINITION.test(line) ||
+      HTML_LINE.test(line) ||
+      (/^( {4}|\t)/.test(line) && paragraph.length === 0);
+
+    const isProse = !isStructural && !heading && !listItem && !quote && !isTableRow;
+    if (isProse) {
+      paragraph.push(line);
+      continue;
+    }
+
+    flushParagraph('\n');
+
+    if (isStructural) {
+      if (fenceMatch && !fence) {
+        fence = fenceMatch[1];
+      } else if (fence && fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      literal(line + newline);
+    } else if (heading) {
+      literal(heading[1]);
+      segment(heading[2], protect);
+      literal((heading[3] || '') + newline);
+    } else if (listItem || quote) {
+      const match = listItem || quote;
+      literal(match[1]);
+      segment(match[2], protect);
+      literal(newline);
+    } else {
+      // Table row: translate each cell, keep the pipes
+      for (const cell of line.split(/(\|)/)) {
+        if (cell === '|') literal(cell);
+        else segment(cell, protect);
+      }
+      literal(newline);
+    }
+  }
+
+  flushParagraph('');
+
+  if (!crlf) return collector;
+  return {
+    segments: collector.segments,
+    rebuild: (translations) => collector.rebuild(translations).replace(/\n/g, '\r\n')
+  };
+}
+
+module.exports = { extract };
@@ -0,0 +1,86 @@
+const { createCollector } = require('../segments');
+
+// Formatting tags (<i>, <font ...>, <c.yellow>) and SSA overrides ({\an8})
+const CUE_PROTECT = /<[^>]+>|\{\\[^}]*\}/g;
+
+const TIMING = /-->/;
+
+/**
+ * Greedy word wrap to at most `maxChars` visible characters per line
+ * (tags don't count). Words longer than a line get a line of their own.
+ */
+function wrapLines(text, maxChars) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const visibleLength = (value) => value.replace(CUE_PROTECT, '').length;
+  const lines = [];
+  let line = '';
+
+  for (const word of words) {
+    if (line && visibleLength(line) + 1 + visibleLength(word) > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines.join('\n');
+}
+
+/**
+ * SRT and WebVTT: the text of each cue is one segment, keyed by its cue
+ * number (1-based position in the file), so the model can't merge or drop
+ * cues unnoticed. Cue numbers, identifiers, timestamps, settings and
+ * WEBVTT/NOTE/STYLE/REGION blocks are kept as they are. With
+ * `options.maxLineLength` translated cues are re-wrapped to that many
+ * characters per line.
+ */
+function extract(text, options = {}) {
+  // Work on LF line endings and put CRLF back on rebuild
+  const crlf = text.includes('\r\n');
+  const lines = (crlf ? text.replace(/\r\n/g, '\n') : text).split('\n');
+
+  const collector = createCollector();
+  const { literal, segment } = collector;
+  const cueOptions = {
+    protect: CUE_PROTECT,
+    escape: options.maxLineLength ? (value) => wrapLines(value, options.maxLineLength) : null
+  };
+
+  let cue = 0;
+  let i = 0;
+  while (i < lines.length) {
+    const newlineAfter = (index) => index < lines.length - 1 ? '\n' : '';
+
+    if (lines[i].trim() === '') {
+      literal(lines[i] + newlineAfter(i));
+      i++;
+      continue;
+    }
+
+    let end = i;
+    while (end < lines.length && lines[end].trim() !== '') end++;
+    const block = lines.slice(i, end);
+
+    // A cue is an optional number/identifier line, a timing line, then text
+    const timing = block.findIndex(line => TIMING.test(line));
+    if (timing === -1 || timing > 1 || timing === block.length - 1) {
+      literal(block.join('\n') + newlineAfter(end - 1));
+    } else {
+      cue++;
+      literal(block.slice(0, timing + 1).join('\n') + '\n');
+      segment(block.slice(timing + 1).join('\n'), { ...cueOptions, id: String(cue) });
+      literal(newlineAfter(end - 1));
+    }
+    i = end;
+  }
+
+  if (!crlf) return collector;
+  return {
+    segments: collector.segments,
+    rebuild: (translations) => collector.rebuild(translations).replace(/\n/g, '\r\n')
+  };
+}
+
+module.exports = { extract, wrapLines };
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+
+/**
+ * Parse a glossary from CSV or JSON text into [{ source, target, note }].
+ *
+ * CSV: `source,target[,note]` rows, with an optional header row.
+ * JSON: either `{ "source": "target" }` or `[{ "source": ..., "target": ... }]`.
+ */
+function parseGlossary(text, format) {
+  let entries = [];
+
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) {
+      entries = data.map(item => ({ source: item.source, target: item.target, note: item.note }));
+    } else if (data && typeof data === 'object') {
+      entries = Object.entries(data).map(([source, target]) => ({ source, target }));
+    } else {
+      throw new Error('Glossary JSON must be an object or an array of { source, target }');
+    }
+  } else {
+    const rows = parseCsv(text);
+    if (rows.length > 0 && /^(source|term|src)$/i.test((rows[0][0] || '').trim()) &&
+        /^(target|translation|tgt)$/i.test((rows[0][1] || '').trim())) {
+      rows.shift(); // Header row
+    }
+    entries = rows.map(([source, target, note]) => ({ source, target, note }));
+  }
+
+  return entries
+    .map(e => ({
+      source: String(e.source || '').trim(),
+      target: String(e.target || '').trim(),
+      note: e.note ? String(e.note).trim() : undefined
+    }))
+    .filter(e => e.source && e.target);
+}
+
+/**
+ * Load a glossary file, picking the format from its extension
+ */
+function loadGlossary(filePath) {
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+  return parseGlossary(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Case-insensitive whole-term match. Letters/digits on either side mean
+ * the term is part of a longer word and doesn't count.
+ */
+function containsTerm(text, term) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'iu');
+  return pattern.test(text);
+}
+
+/**
+ * Glossary entries whose source term occurs in the chunk
+ */
+function findTermsInText(glossary, text) {
+  if (!glossary || glossary.length === 0) return [];
+  return glossary.filter(entry => containsTerm(text, entry.source));
+}
+
+/**
+ * Extra system prompt lines telling the model how to render the terms
+ */
+function buildGlossaryInstruction(terms) {
+  if (!terms || terms.length === 0) return '';
+  const lines = terms.map(t => `- "${t.source}" -> "${t.target}"${t.note ? ` (${t.note})` : ''}`);
+  return `Always translate these terms exactly as given:\n${lines.join('\n')}`;
+}
+
+/**
+ * Required target terms that are missing from the translation
+ */
+function findGlossaryViolations(terms, translation) {
+  if (!terms || terms.length === 0) return [];
+  return terms
+    .filter(t => !containsTerm(translation, t.target))
+    .map(t => ({ source: t.source, target: t.target }));
+}
+
+module.exports = {
+  parseGlossary,
+  loadGlossary,
+  findTermsInText,
+  buildGlossaryInstruction,
+  findGlossaryViolations
+};
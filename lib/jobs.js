@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { initializeDatabase, ensureColumns } = require('./database');
+
+/**
+ * Server job store. Every job has its own database (<jobId>.db in the jobs
+ * directory) with the CLI's `translations` table for per-chunk state and a
+ * one-row `job` table for its metadata, so jobs survive a server restart.
+ */
+
+// Job fields stored in the `job` table (column: field)
+const JOB_FIELDS = {
+  id: 'id',
+  status: 'status',
+  model: 'model',
+  prompt: 'prompt',
+  format: 'format',
+  file_name: 'fileName',
+  input_path: 'inputPath',
+  output_path: 'outputPath',
+  download_name: 'downloadName',
+  batch_id: 'batchId',
+  relative_path: 'relativePath',
+  retries: 'retries',
+  error: 'error',
+  created_at: 'createdAt',
+  completed_at: 'completedAt'
+};
+
+/**
+ * Open (or create) a job database. Jobs of a batch upload (several files
+ * or a zip) share a batchId and record the file's path in it.
+ */
+async function openJobDatabase(dbPath) {
+  const db = await initializeDatabase(dbPath);
+
+  return new Promise((resolve, reject) => {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS job (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        model TEXT,
+        prompt TEXT,
+        format TEXT,
+        file_name TEXT,
+        input_path TEXT,
+        output_path TEXT,
+        download_name TEXT,
+        batch_id TEXT,
+        relative_path TEXT,
+        options TEXT,
+        retries INTEGER DEFAULT 0,
+        error TEXT,
+        created_at TEXT,
+        completed_at TEXT
+      )
+    `, (err) => {
+      if (err) reject(err);
+      else ensureColumns(db, 'job', { batch_id: 'TEXT', relative_path: 'TEXT' }).then(() => resolve(db), reject);
+    });
+  });
+}
+
+/**
+ * Write the job's metadata. `job.options` (glossary, JSON keys, CSV
+ * columns, ...) is stored as JSON.
+ */
+function saveJob(db, job) {
+  const columns = [...Object.keys(JOB_FIELDS), 'options'];
+  const values = [...Object.values(JOB_FIELDS).map(field => job[field] ?? null), JSON.stringify(job.options || {})];
+
+  return new Promise((resolve, reject) => {
+    db.run(`
+      INSERT OR REPLACE INTO job (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `, values, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+/**
+ * The job stored in a database with its progress counted from the chunk
+ * rows, or null if the database has no job. A job translated into several
+ * languages also has its progress per language in `languages`.
+ */
+function loadJob(db) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM job LIMIT 1', (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (!row) {
+        resolve(null);
+        return;
+      }
+
+      const job = { options: JSON.parse(row.options || '{}') };
+      for (const [column, field] of Object.entries(JOB_FIELDS)) {
+        job[field] = row[column];
+      }
+
+      db.all(`
+        SELECT sequence_number, target_lang, status, from_memory, glossary_violations, prompt_tokens, completion_tokens, quality_issues
+        FROM translations
+        ORDER BY sequence_number, id
+      `, (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        Object.assign(job, {
+          total: rows.length,
+          completed: 0,
+          needsReview: 0,
+          failed: 0,
+          reused: 0,
+          glossaryViolations: [],
+          promptTokens: 0,
+          completionTokens: 0,
+          languages: {}
+        });
+        for (const chunk of rows) {
+          job.promptTokens += chunk.prompt_tokens || 0;
+          job.completionTokens += chunk.completion_tokens || 0;
+          if (chunk.status === 'success' || chunk.status === 'needs_review') job.completed++;
+          if (chunk.status === 'needs_review') job.needsReview++;
+          if (chunk.status === 'failure') job.failed++;
+          if (chunk.target_lang) countLanguageChunk(job.languages, chunk.target_lang, chunk.status);
+          if (chunk.from_memory) job.reused++;
+          if (chunk.glossary_violations) {
+            job.glossaryViolations.push({ chunk: chunk.sequence_number, missing: JSON.parse(chunk.glossary_violations) });
+          }
+        }
+        resolve(job);
+      });
+    });
+  });
+}
+
+/**
+ * Add a chunk row with `status` to the per-language progress of a job
+ * ({ language: { total, completed, needsReview, failed } })
+ */
+function countLanguageChunk(languages, language, status) {
+  const counts = languages[language] || (languages[language] = { total: 0, completed: 0, needsReview: 0, failed: 0 });
+  counts.total++;
+  if (status === 'success' || status === 'needs_review') counts.completed++;
+  if (status === 'needs_review') counts.needsReview++;
+  if (status === 'failure') counts.failed++;
+}
+
+/**
+ * All chunk rows of a job in order, the languages of a chunk after each
+ * other (target_lang is null for a job whose prompt names the target), or
+ * only those with `status`
+ */
+function getChunkRows(db, status = null) {
+  return new Promise((resolve, reject) => {
+    db.all(`
+      SELECT id, sequence_number, target_lang, source_text, translated_text, status, error_message, from_memory,
+        leading_whitespace, trailing_whitespace, boundary, quality_issues
+      FROM translations
+      ${status ? 'WHERE status = ?' : ''}
+      ORDER BY sequence_number, id
+    `, status ? [status] : [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+/**
+ * Chunk rows of a job through a separate read-only connection, for readers
+ * that must not depend on the job's own connection being open
+ */
+function readChunkRows(dbPath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      getChunkRows(db).then(
+        (rows) => db.close(() => resolve(rows)),
+        (error) => db.close(() => reject(error))
+      );
+    });
+  });
+}
+
+/**
+ * Record the outcome of one chunk: { translation, fromMemory, violations,
+ * qualityIssues, attempts, usage } on success (needs_review if there are
+ * quality issues), { error, attempts, usage } on failure
+ */
+function saveChunkResult(db, rowId, result) {
+  const usage = result.usage || { promptTokens: 0, completionTokens: 0 };
+  const hasIssues = !!(result.qualityIssues && result.qualityIssues.length > 0);
+
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      if (err) reject(err);
+      else resolve();
+    };
+
+    if (result.error) {
+      db.run(`
+        UPDATE translations
+        SET status = 'failure', error_message = ?, attempts = attempts + ?,
+          prompt_tokens = prompt_tokens + ?, completion_tokens = completion_tokens + ?, timestamp = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [result.error, result.attempts || 0, usage.promptTokens, usage.completionTokens, rowId], done);
+      return;
+    }
+
+    db.run(`
+      UPDATE translations
+      SET translated_text = ?, status = ?, quality_issues = ?, glossary_violations = ?, from_memory = ?,
+        attempts = attempts + ?, prompt_tokens = prompt_tokens + ?, completion_tokens = completion_tokens + ?,
+        error_message = NULL, timestamp = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      result.translation,
+      hasIssues ? 'needs_review' : 'success',
+      hasIssues ? JSON.stringify(result.qualityIssues) : null,
+      result.violations && result.violations.length > 0 ? JSON.stringify(result.violations) : null,
+      result.fromMemory ? 1 : 0,
+      result.attempts || 0,
+      usage.promptTokens,
+      usage.completionTokens,
+      rowId
+    ], done);
+  });
+}
+
+/**
+ * Job database paths in a directory (<jobId>.db)
+ */
+function listJobDatabases(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => /^[\w-]+\.db$/.test(name))
+    .map(name => path.join(dir, name));
+}
+
+function closeDatabase(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+module.exports = {
+  openJobDatabase,
+  saveJob,
+  loadJob,
+  getChunkRows,
+  readChunkRows,
+  saveChunkResult,
+  listJobDatabases,
+  closeDatabase
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3').verbose();
+const { languageTag, languageFromTag } = require('./tmx');
+const { ensureColumns } = require('./database');
+
+// Shared across runs and input files so a revised edition can reuse the first one
+const DEFAULT_MEMORY_PATH = path.join(os.homedir(), '.easy-translator', 'memory.db');
+
+/**
+ * Normalize a source segment so whitespace-only edits still match
+ */
+function normalizeSegment(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Memory key: normalized source + language pair + model + prompt, plus the
+ * instructions added to the prompt for the chunk (format, glossary terms,
+ * context) so a translation is only reused under the same ones. Entries
+ * without instructions keep the keys they had before these were added.
+ */
+function memoryKey({ sourceText, sourceLang, targetLang, model, prompt, instructions = null }) {
+  const parts = [normalizeSegment(sourceText), sourceLang, targetLang, model, prompt];
+  if (instructions) parts.push(instructions);
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(parts))
+    .digest('hex');
+}
+
+/**
+ * Open (or create) the translation memory database
+ */
+function openMemory(dbPath = DEFAULT_MEMORY_PATH) {
+  const dir = path.dirname(dbPath);
+  if (dir && !fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS translation_memory (
+          key TEXT PRIMARY KEY,
+          source_text TEXT NOT NULL,
+          translated_text TEXT NOT NULL,
+          source_lang TEXT,
+          target_lang TEXT,
+          model TEXT,
+          prompt TEXT,
+          instructions TEXT,
+          use_count INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used DATETIME
+        )
+      `, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // Memories created before instructions were part of the key
+        ensureColumns(db, 'translation_memory', { instructions: 'TEXT' }).then(() => resolve(db), reject);
+      });
+    });
+  });
+}
+
+/**
+ * Exact-match lookup. Resolves to the stored translation or null.
+ */
+function lookupMemory(db, entry) {
+  const key = memoryKey(entry);
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT translated_text FROM translation_memory WHERE key = ?', [key], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (!row) {
+        resolve(null);
+        return;
+      }
+
+      db.run(`
+        UPDATE translation_memory
+        SET use_count = use_count + 1, last_used = CURRENT_TIMESTAMP
+        WHERE key = ?
+      `, [key], () => resolve(row.translated_text));
+    });
+  });
+}
+
+/**
+ * Store (or replace) a translation in memory
+ */
+function saveToMemory(db, entry, translatedText) {
+  return new Promise((resolve, reject) => {
+    db.run(`
+      INSERT OR REPLACE INTO translation_memory
+        (key, source_text, translated_text, source_lang, target_lang, model, prompt, instructions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      memoryKey(entry),
+      entry.sourceText,
+      translatedText,
+      entry.sourceLang,
+      entry.targetLang,
+      entry.model,
+      entry.prompt,
+      entry.instructions || null
+    ], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+/**
+ * All memory entries as TMX units. Languages are written as BCP 47 tags;
+ * the names they are keyed by, the model, prompt and instructions are kept
+ * as props so an import restores the same keys.
+ */
+function exportMemory(db) {
+  return new Promise((resolve, reject) => {
+    db.all(`
+      SELECT source_text, translated_text, source_lang, target_lang, model, prompt, instructions
+      FROM translation_memory
+      ORDER BY created_at
+    `, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows.map(row => ({
+        source: row.source_text,
+        target: row.translated_text,
+        sourceLang: languageTag(row.source_lang),
+        targetLang: languageTag(row.target_lang),
+        props: {
+          'x-source-lang': row.source_lang,
+          'x-target-lang': row.target_lang,
+          'x-model': row.model,
+          'x-prompt': row.prompt,
+          'x-instructions': row.instructions
+        }
+      })));
+    });
+  });
+}
+
+/**
+ * Languages of a TMX unit as memory keys name them: the exported names,
+ * or the language names of the tags of a unit from another tool
+ */
+function unitLanguages(unit) {
+  const props = unit.props || {};
+  return {
+    sourceLang: props['x-source-lang'] ?? languageFromTag(unit.sourceLang),
+    targetLang: props['x-target-lang'] ?? languageFromTag(unit.targetLang)
+  };
+}
+
+/**
+ * Import TMX units (see exportMemory). Resolves to the number imported.
+ */
+async function importMemory(db, units) {
+  let count = 0;
+  for (const unit of units) {
+    await saveToMemory(db, {
+      sourceText: unit.source,
+      ...unitLanguages(unit),
+      model: unit.props['x-model'],
+      prompt: unit.props['x-prompt'],
+      instructions: unit.props['x-instructions']
+    }, unit.target);
+    count++;
+  }
+  return count;
+}
+
+module.exports = {
+  DEFAULT_MEMORY_PATH,
+  normalizeSegment,
+  memoryKey,
+  openMemory,
+  lookupMemory,
+  saveToMemory,
+  exportMemory,
+  importMemory,
+  unitLanguages
+};
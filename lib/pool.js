@@ -0,0 +1,71 @@
+/**
+ * Continuous work queue: keeps up to `concurrency` items in flight and
+ * starts the next one as soon as any finishes, so one slow chunk doesn't
+ * hold up the rest (unlike fixed batches). No new items are started once
+ * `shouldContinue()` returns false; resolves when the items in flight are
+ * done, rejects on the first error a worker throws.
+ */
+function runPool(items, worker, { concurrency = 1, shouldContinue = () => true } = {}) {
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let active = 0;
+    let failed = false;
+
+    const launch = () => {
+      while (!failed && shouldContinue() && next < items.length && active < concurrency) {
+        const item = items[next++];
+        active++;
+        new Promise(run => run(worker(item)))
+          .then(() => {
+            active--;
+            launch();
+          }, (error) => {
+            failed = true;
+            reject(error);
+          });
+      }
+      if (active === 0 && !failed) resolve();
+    };
+
+    launch();
+  });
+}
+
+/**
+ * Concurrency budget shared by several pools (e.g. the files of a
+ * directory translated side by side): run(task) starts `task()` once fewer
+ * than `count` tasks started through it are running, and resolves to its
+ * result.
+ */
+function createSlots(count) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    active--;
+    if (waiting.length > 0) {
+      active++;
+      waiting.shift()();
+    }
+  };
+
+  return {
+    async run(task) {
+      if (active < count) {
+        active++;
+      } else {
+        await new Promise(start => waiting.push(start));
+      }
+      try {
+        return await task();
+      } finally {
+        release();
+      }
+    },
+    get active() {
+      return active;
+    }
+  };
+}
+
+module.exports = { runPool, createSlots };
@@ -0,0 +1,193 @@
+const { contentHash } = require('./resume');
+
+/**
+ * Portable project files: one translation as JSON, with its source text,
+ * the settings it was chunked with and every (chunk, target language) pair
+ * with its state. The CLI writes them from a progress database and reads
+ * them into one (--export-project / --import-project); translator.html
+ * does the same with its browser projects, so a translation started in one
+ * can be finished in the other.
+ */
+
+const PROJECT_FORMAT = 'easy-translator-project';
+const PROJECT_VERSION = 1;
+
+// Chunk statuses of a project file. 'edited' (corrected in the browser's
+// review) is a finished translation; the CLI stores it as 'success'.
+const PROJECT_STATUSES = ['pending', 'success', 'needs_review', 'edited', 'failure'];
+
+const DONE_STATUSES = ['success', 'needs_review', 'edited'];
+
+function parseJsonList(value) {
+  return value ? JSON.parse(value) : [];
+}
+
+// Empty lists are stored as null, as the CLI records unset options
+function listOrNull(value) {
+  return Array.isArray(value) && value.length > 0 ? value : null;
+}
+
+/**
+ * Project file of a progress database: its chunk `rows` (in order), the
+ * recorded `run` ({ sourceHash, settings }, see lib/resume.js) and the
+ * `source` text it was made from. `prompt` is the system prompt the chunks
+ * were translated with.
+ */
+function buildProject({ fileName, source, run, rows, model = null, prompt = null, glossary = [], created = null }) {
+  const { settings } = run;
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    fileName,
+    created,
+    updated: new Date().toISOString(),
+    model,
+    prompt,
+    sourceLang: settings.sourceLang || 'auto',
+    targets: [...new Set(rows.map(row => row.target_lang))],
+    inputFormat: settings.format || 'text',
+    options: {
+      keys: listOrNull(settings.keys),
+      columns: listOrNull(settings.columns),
+      maxLineLength: settings.maxLineLength || null
+    },
+    chunkSize: settings.chunkSize ?? null,
+    chunkUnit: settings.chunkUnit || 'chars',
+    sourceHash: run.sourceHash || contentHash(source),
+    source,
+    glossary,
+    chunks: rows.map(row => ({
+      index: row.sequence_number,
+      target: row.target_lang,
+      source: row.source_text,
+      leading: row.leading_whitespace ?? null,
+      trailing: row.trailing_whitespace ?? null,
+      boundary: row.boundary ?? null,
+      status: row.status,
+      translated: DONE_STATUSES.includes(row.status) ? row.translated_text : null,
+      error: row.status === 'failure' ? row.error_message || null : null,
+      qualityIssues: parseJsonList(row.quality_issues),
+      glossaryViolations: parseJsonList(row.glossary_violations),
+      fromMemory: !!row.from_memory,
+      attempts: row.attempts || 0,
+      promptTokens: row.prompt_tokens || 0,
+      completionTokens: row.completion_tokens || 0
+    }))
+  };
+}
+
+/**
+ * Read and check a project file. Every chunk index from 0 must be there
+ * once per target language (null: the language named by the prompt).
+ */
+function parseProject(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a project file: ${error.message}`);
+  }
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error('Not an Easy Translator project file');
+  }
+  if (!(project.version <= PROJECT_VERSION)) {
+    throw new Error(`Project file version ${project.version} is not supported (up to ${PROJECT_VERSION})`);
+  }
+  if (typeof project.source !== 'string' || !Array.isArray(project.chunks) ||
+      !Array.isArray(project.targets) || project.targets.length === 0) {
+    throw new Error('Project file is missing its source text, target languages or chunks');
+  }
+
+  const seen = new Set();
+  for (const chunk of project.chunks) {
+    const key = `${chunk.index}:${chunk.target}`;
+    if (!Number.isInteger(chunk.index) || chunk.index < 0 || typeof chunk.source !== 'string' ||
+        !PROJECT_STATUSES.includes(chunk.status) || !project.targets.includes(chunk.target) || seen.has(key)) {
+      throw new Error(`Invalid chunk in project file: ${JSON.stringify(chunk).slice(0, 80)}`);
+    }
+    if (DONE_STATUSES.includes(chunk.status) && typeof chunk.translated !== 'string') {
+      throw new Error(`Chunk ${chunk.index + 1} is ${chunk.status} but has no translation`);
+    }
+    seen.add(key);
+  }
+  if (seen.size !== (Math.max(-1, ...project.chunks.map(chunk => chunk.index)) + 1) * project.targets.length) {
+    throw new Error('Project file is missing chunks');
+  }
+  return project;
+}
+
+/**
+ * Target languages of a project for the CLI, which needs names: `fallback`
+ * stands in for a null target (the browser's prompt named a language the
+ * checks don't know)
+ */
+function projectTargets(project, fallback = null) {
+  const targets = project.targets.map(target => target ?? fallback);
+  if (targets.includes(null)) {
+    throw new Error('The project does not name its target language; give it with --to');
+  }
+  return targets;
+}
+
+/**
+ * The chunks of a project for storeChunksInDatabase(): one per index with
+ * the stored row of each target language in `targets[language].previous`
+ */
+function projectChunks(project, fallback = null) {
+  const chunks = [];
+  for (const entry of project.chunks) {
+    const chunk = chunks[entry.index] || (chunks[entry.index] = {
+      text: entry.source,
+      leading: entry.leading ?? null,
+      trailing: entry.trailing ?? null,
+      boundary: entry.boundary ?? null,
+      targets: {}
+    });
+    chunk.targets[entry.target ?? fallback] = {
+      previous: {
+        translated_text: DONE_STATUSES.includes(entry.status) ? entry.translated : null,
+        status: entry.status === 'edited' ? 'success' : entry.status,
+        error_message: entry.status === 'failure' ? entry.error || 'Failed before import' : null,
+        quality_issues: entry.qualityIssues && entry.qualityIssues.length > 0 ? JSON.stringify(entry.qualityIssues) : null,
+        glossary_violations: entry.glossaryViolations && entry.glossaryViolations.length > 0 ? JSON.stringify(entry.glossaryViolations) : null,
+        from_memory: entry.fromMemory ? 1 : 0,
+        attempts: entry.attempts || 0,
+        prompt_tokens: entry.promptTokens || 0,
+        completion_tokens: entry.completionTokens || 0
+      }
+    };
+  }
+  return chunks;
+}
+
+/**
+ * The run to record for an imported project ({ sourceHash, settings } as
+ * the CLI describes its runs), so the CLI resumes it when given the same
+ * languages and chunk size
+ */
+function projectRun(project, targets) {
+  return {
+    sourceHash: project.sourceHash || contentHash(project.source),
+    settings: {
+      sourceLang: project.sourceLang || 'auto',
+      targetLang: targets.length === 1 ? targets[0] : targets,
+      format: project.inputFormat || 'text',
+      chunkSize: project.chunkSize ?? null,
+      chunkUnit: project.chunkUnit || 'chars',
+      keys: listOrNull(project.options && project.options.keys),
+      columns: listOrNull(project.options && project.options.columns),
+      maxLineLength: (project.options && project.options.maxLineLength) || null
+    }
+  };
+}
+
+module.exports = {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  PROJECT_STATUSES,
+  buildProject,
+  parseProject,
+  projectTargets,
+  projectChunks,
+  projectRun
+};
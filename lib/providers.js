@@ -0,0 +1,145 @@
+const { OpenAI } = require('openai');
+const { estimateTokens } = require('./usage');
+
+/**
+ * Translation providers. Every provider has the same shape:
+ *
+ *   { name, complete({ model, system, input, temperature, json, reasoningEffort, signal }) }
+ *
+ * where complete() resolves to { text, usage: { promptTokens, completionTokens }, headers, truncated }
+ * (the HTTP response headers, read by lib/ratelimit; `truncated` when the
+ * reply was cut off at the output token limit) and rejects with errors
+ * carrying `status`/`headers` so lib/retry can decide whether to retry.
+ * Aborting `signal` cancels the request.
+ *
+ * - chat:      Chat Completions (OpenAI or any OpenAI-compatible server:
+ *              llama.cpp, vLLM, Ollama, ...)
+ * - responses: OpenAI Responses API
+ * - mock:      deterministic, offline; upper-cases the input
+ */
+const PROVIDERS = ['chat', 'responses', 'mock'];
+
+/**
+ * OpenAI SDK client for a base URL and auth header. Servers that need no
+ * key get no Authorization header; `authHeader` other than Authorization
+ * (e.g. "api-key") sends the bare key in that header instead.
+ */
+function createClient({ baseUrl, apiKey, authHeader }) {
+  const headers = {};
+  if (!apiKey) {
+    headers.Authorization = null;
+  } else if (authHeader && authHeader.toLowerCase() !== 'authorization') {
+    headers.Authorization = null;
+    headers[authHeader] = apiKey;
+  }
+
+  return new OpenAI({
+    apiKey: apiKey || 'none',
+    baseURL: baseUrl || undefined,
+    defaultHeaders: headers,
+    maxRetries: 0 // Retries are handled by lib/retry
+  });
+}
+
+function chatProvider(config) {
+  let client = null;
+
+  return {
+    name: 'chat',
+    async complete({ model, system, input, temperature, json, signal }) {
+      client = client || createClient(config);
+      const { data: response, response: raw } = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: input }
+        ],
+        ...(temperature !== undefined ? { temperature } : {}),
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      }, { signal }).withResponse();
+
+      const usage = response.usage || {};
+      return {
+        text: response.choices[0].message.content,
+        usage: { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 },
+        headers: raw.headers,
+        truncated: response.choices[0].finish_reason === 'length'
+      };
+    }
+  };
+}
+
+function responsesProvider(config) {
+  let client = null;
+
+  return {
+    name: 'responses',
+    async complete({ model, system, input, json, reasoningEffort, signal }) {
+      client = client || createClient(config);
+      const { data: response, response: raw } = await client.responses.create({
+        model,
+        instructions: system,
+        input,
+        ...(reasoningEffort ? { reasoning: { effort: reasoningEffort } } : {}),
+        ...(json ? { text: { format: { type: 'json_object' } } } : {})
+      }, { signal }).withResponse();
+
+      const usage = response.usage || {};
+      return {
+        text: response.output_text,
+        usage: { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0 },
+        headers: raw.headers,
+        truncated: response.status === 'incomplete' && response.incomplete_details?.reason === 'max_output_tokens'
+      };
+    }
+  };
+}
+
+/**
+ * Offline provider for tests and demos. Plain input is upper-cased; JSON
+ * input (segment batches) gets every string value upper-cased under the
+ * same keys. Placeholders like ⟦0⟧ are left alone. Usage is estimated.
+ */
+function mockProvider() {
+  return {
+    name: 'mock',
+    async complete({ system, input, json, signal }) {
+      if (signal && signal.aborted) {
+        const error = new Error('Request was aborted.');
+        error.name = 'AbortError';
+        throw error;
+      }
+
+      let text;
+      if (json) {
+        const data = JSON.parse(input);
+        for (const key of Object.keys(data)) {
+          if (typeof data[key] === 'string') data[key] = data[key].toUpperCase();
+        }
+        text = JSON.stringify(data);
+      } else {
+        text = input.toUpperCase();
+      }
+
+      return {
+        text,
+        usage: { promptTokens: estimateTokens(system) + estimateTokens(input), completionTokens: estimateTokens(text) },
+        headers: {},
+        truncated: false
+      };
+    }
+  };
+}
+
+/**
+ * Provider for a config of { provider, baseUrl, apiKey, authHeader }
+ */
+function createProvider(config = {}) {
+  const type = config.provider || 'chat';
+  if (type === 'chat') return chatProvider(config);
+  if (type === 'responses') return responsesProvider(config);
+  if (type === 'mock') return mockProvider();
+  throw new Error(`Unknown provider: ${type} (use ${PROVIDERS.join(', ')})`);
+}
+
+module.exports = { PROVIDERS, createProvider };
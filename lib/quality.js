@@ -0,0 +1,299 @@
+const { estimateTokens } = require('./usage');
+
+/**
+ * Post-translation checks. A reply can come back truncated, untranslated,
+ * wrapped in chatter ("Here is the translation:") or in the wrong language
+ * and still look like a success; checkTranslation() flags those so the
+ * chunk can be re-translated with a stricter prompt or marked needs_review.
+ *
+ * Language detection is heuristic and dependency-free: the dominant script
+ * of the text, and for Latin-script languages the share of common function
+ * words.
+ */
+
+// Languages the checks know, by code. `words` are frequent function words
+// used to tell Latin-script languages apart.
+const LANGUAGES = {
+  en: { name: 'English', script: 'Latin', words: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'with', 'for', 'was', 'this', 'you', 'are', 'not', 'have'] },
+  es: { name: 'Spanish', script: 'Latin', words: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'se', 'del', 'las', 'por', 'un', 'una', 'con', 'no', 'es'] },
+  fr: { name: 'French', script: 'Latin', words: ['le', 'la', 'de', 'et', 'les', 'des', 'est', 'un', 'une', 'du', 'que', 'pas', 'pour', 'dans', 'qui', 'il'] },
+  de: { name: 'German', script: 'Latin', words: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'zu', 'den', 'mit', 'ein', 'eine', 'ich', 'sie', 'es', 'auf', 'dem'] },
+  it: { name: 'Italian', script: 'Latin', words: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'una', 'non', 'sono', 'gli', 'del', 'della', 'con', 'è', 'le'] },
+  pt: { name: 'Portuguese', script: 'Latin', words: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'não', 'os', 'para', 'com', 'é', 'as'] },
+  nl: { name: 'Dutch', script: 'Latin', words: ['de', 'het', 'een', 'en', 'van', 'ik', 'is', 'niet', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'die', 'je'] },
+  ru: { name: 'Russian', script: 'Cyrillic' },
+  uk: { name: 'Ukrainian', script: 'Cyrillic' },
+  bg: { name: 'Bulgarian', script: 'Cyrillic' },
+  el: { name: 'Greek', script: 'Greek' },
+  he: { name: 'Hebrew', script: 'Hebrew' },
+  ar: { name: 'Arabic', script: 'Arabic' },
+  fa: { name: 'Persian', script: 'Arabic' },
+  hi: { name: 'Hindi', script: 'Devanagari' },
+  th: { name: 'Thai', script: 'Thai' },
+  zh: { name: 'Chinese', script: 'Han' },
+  ja: { name: 'Japanese', script: 'Japanese' },
+  ko: { name: 'Korean', script: 'Hangul' }
+};
+
+const SCRIPTS = {
+  Latin: /\p{Script=Latin}/u,
+  Cyrillic: /\p{Script=Cyrillic}/u,
+  Greek: /\p{Script=Greek}/u,
+  Hebrew: /\p{Script=Hebrew}/u,
+  Arabic: /\p{Script=Arabic}/u,
+  Devanagari: /\p{Script=Devanagari}/u,
+  Thai: /\p{Script=Thai}/u,
+  Han: /\p{Script=Han}/u,
+  Kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  Hangul: /\p{Script=Hangul}/u
+};
+
+// Below this many letters the detection is not trusted
+const MIN_LETTERS = 20;
+
+// Accepted translation/source size, in estimated tokens
+const MIN_LENGTH_RATIO = 0.4;
+const MAX_LENGTH_RATIO = 2.5;
+// Sources shorter than this (characters) skip the length check
+const MIN_LENGTH_CHECKED = 100;
+
+// Source sentences at least this long found verbatim in the output count
+// as left untranslated
+const MIN_LEFTOVER_SENTENCE = 30;
+
+const PREAMBLE = /^\s*(?:sure|certainly|of course|okay|ok)\b[^\n]{0,80}[.!:]\s*|^\s*(?:here(?:'s| is| are)|below is|the following is)\b[^\n]{0,80}\btranslat[^\n]*:\s*|^\s*translation\s*:\s*/i;
+const SIGN_OFF = /\n\s*(?:let me know|i hope this helps|feel free to|note:|\(note)[^\n]*\s*$/i;
+
+/**
+ * Language code for a name or code ("Spanish", "spanish", "es"), or null
+ */
+function languageCode(language) {
+  if (!language) return null;
+  const value = language.trim().toLowerCase();
+  if (LANGUAGES[value]) return value;
+  const code = Object.keys(LANGUAGES).find(key => LANGUAGES[key].name.toLowerCase() === value);
+  return code || null;
+}
+
+/**
+ * Target language code named in a free-form prompt ("... to Spanish",
+ * "... into German"), or null
+ */
+function targetLanguageFromPrompt(prompt) {
+  if (!prompt) return null;
+  for (const [, name] of prompt.matchAll(/\b(?:to|into)\s+(\p{L}+)/giu)) {
+    const code = languageCode(name);
+    if (code) return code;
+  }
+  return null;
+}
+
+/**
+ * Source language code named in a free-form prompt ("... from French
+ * ..."), or null
+ */
+function sourceLanguageFromPrompt(prompt) {
+  if (!prompt) return null;
+  for (const [, name] of prompt.matchAll(/\bfrom\s+(\p{L}+)/giu)) {
+    const code = languageCode(name);
+    if (code) return code;
+  }
+  return null;
+}
+
+/**
+ * Target languages from a comma-separated list ("French, German") or an
+ * array of names, trimmed and without duplicates (compared by code, or by
+ * name for languages the checks don't know)
+ */
+function parseLanguages(value) {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .flatMap(name => String(name).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  const seen = new Set();
+  return names.filter(name => {
+    const key = languageCode(name) || name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Short name of a language for file and directory names: its code
+ * ("French" -> "fr"), or the lowercased name with other characters turned
+ * into dashes
+ */
+function languageSlug(language) {
+  return languageCode(language) ||
+    language.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'lang';
+}
+
+/**
+ * A free-form prompt asking for `language` instead: the target it names
+ * ("... to Spanish", "... into German") is swapped, or an instruction to
+ * translate into `language` is appended when it names none. Fans one
+ * prompt out to several target languages.
+ */
+function promptForLanguage(prompt, language) {
+  let swapped = false;
+  const result = (prompt || '').replace(/\b(to|into)(\s+)(\p{L}+)/giu, (match, word, space, name) => {
+    if (swapped || !languageCode(name)) return match;
+    swapped = true;
+    return `${word}${space}${language}`;
+  });
+  return swapped ? result : `${result.trim()}\n\nTranslate into ${language}.`.trim();
+}
+
+/**
+ * { script, language, letters } of a text: the dominant script, the
+ * language code when the script or the function words identify one (null
+ * otherwise) and the number of letters looked at
+ */
+function detectLanguage(text) {
+  const counts = {};
+  let letters = 0;
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) continue;
+    letters++;
+    const script = Object.keys(SCRIPTS).find(name => SCRIPTS[name].test(char));
+    if (script) counts[script] = (counts[script] || 0) + 1;
+  }
+
+  // Japanese mixes kana with kanji
+  if (counts.Kana && counts.Kana >= 0.1 * (counts.Kana + (counts.Han || 0))) {
+    counts.Japanese = counts.Kana + (counts.Han || 0);
+  }
+  delete counts.Kana;
+
+  const script = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+  let language = null;
+
+  if (script === 'Latin') {
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    let best = 0;
+    for (const [code, info] of Object.entries(LANGUAGES)) {
+      if (!info.words) continue;
+      const hits = words.filter(word => info.words.includes(word)).length;
+      if (hits > best) {
+        best = hits;
+        language = code;
+      }
+    }
+    // Too few function words to tell (names, lists, code, ...)
+    if (best < Math.max(3, words.length * 0.05)) language = null;
+  } else if (script) {
+    const candidates = Object.keys(LANGUAGES).filter(code => LANGUAGES[code].script === script);
+    if (candidates.length === 1) language = candidates[0];
+  }
+
+  return { script, language, letters };
+}
+
+function paragraphCount(text) {
+  return text.split(/\n\s*\n/).filter(part => part.trim()).length;
+}
+
+function sentences(text) {
+  return text.split(/(?<=[.!?。！？])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Problems with a translation, as [{ check, message }] (empty if it looks
+ * fine). options: { sourceLang, targetLang } (names or codes; unknown or
+ * 'auto' skip the language checks), `segments` (source and translation are
+ * JSON segment batches: their joined segment texts are checked, without the
+ * paragraph check since batches are checked by key), `paragraphs` (false
+ * to skip the paragraph check) and `language` (false to skip the output
+ * language check, e.g. for output whose language can't be detected).
+ *
+ * Checks: length ratio, preamble/sign-off chatter, output language vs.
+ * target, source sentences left untranslated, paragraph count.
+ */
+function checkTranslation(source, translation, options = {}) {
+  if (options.segments) {
+    const texts = (batch) => Object.values(JSON.parse(batch)).join('\n\n');
+    return checkTranslation(texts(source), texts(translation), { ...options, segments: false, paragraphs: false });
+  }
+
+  const issues = [];
+  const target = languageCode(options.targetLang);
+  const sourceCode = languageCode(options.sourceLang);
+
+  if (source.length >= MIN_LENGTH_CHECKED) {
+    const ratio = estimateTokens(translation) / Math.max(1, estimateTokens(source));
+    if (ratio < MIN_LENGTH_RATIO) {
+      issues.push({ check: 'length', message: `Translation is only ${Math.round(ratio * 100)}% of the source length (truncated?)` });
+    } else if (ratio > MAX_LENGTH_RATIO) {
+      issues.push({ check: 'length', message: `Translation is ${ratio.toFixed(1)}x the source length` });
+    }
+  }
+
+  if ((PREAMBLE.test(translation) && !PREAMBLE.test(source)) || (SIGN_OFF.test(translation) && !SIGN_OFF.test(source))) {
+    issues.push({ check: 'preamble', message: 'Translation contains a preamble or comment that is not part of the text' });
+  }
+
+  if (target && options.language !== false) {
+    const detected = detectLanguage(translation);
+    const expected = LANGUAGES[target];
+    if (detected.letters >= MIN_LETTERS) {
+      if (detected.script !== expected.script) {
+        const found = detected.language ? LANGUAGES[detected.language].name : `${detected.script} script`;
+        issues.push({ check: 'language', message: `Translation looks like ${found}, expected ${expected.name}` });
+      } else if (expected.words && detected.language && detected.language !== target) {
+        issues.push({ check: 'language', message: `Translation looks like ${LANGUAGES[detected.language].name}, expected ${expected.name}` });
+      }
+    }
+  }
+
+  // Translating a text into its own language legitimately keeps sentences
+  if (!target || target !== sourceCode) {
+    const leftover = sentences(source)
+      .filter(sentence => sentence.length >= MIN_LEFTOVER_SENTENCE && /\p{L}/u.test(sentence) && translation.includes(sentence));
+    if (leftover.length > 0) {
+      issues.push({ check: 'untranslated', message: `${leftover.length} source sentence(s) left untranslated` });
+    }
+  }
+
+  if (options.paragraphs !== false) {
+    const expected = paragraphCount(source);
+    const actual = paragraphCount(translation);
+    if (expected !== actual) {
+      issues.push({ check: 'paragraphs', message: `Translation has ${actual} paragraph(s), the source ${expected}` });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Extra system prompt instruction for re-translating a chunk that failed
+ * the checks
+ */
+function buildStrictInstruction(issues, source, targetLang) {
+  const target = LANGUAGES[languageCode(targetLang)];
+  const lines = [
+    'A previous translation of this text was rejected:',
+    ...issues.map(issue => `- ${issue.message}`),
+    `Translate the complete text${target ? ` into ${target.name}` : ''}, every sentence, leaving nothing in the original language.`,
+    'Output only the translation: no preamble, no notes, no comments.'
+  ];
+  if (issues.some(issue => issue.check === 'paragraphs')) {
+    lines.push(`Keep exactly ${paragraphCount(source)} paragraph(s), separated by blank lines, like the source.`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  LANGUAGES,
+  languageCode,
+  targetLanguageFromPrompt,
+  sourceLanguageFromPrompt,
+  parseLanguages,
+  languageSlug,
+  promptForLanguage,
+  detectLanguage,
+  checkTranslation,
+  buildStrictInstruction
+};
@@ -0,0 +1,199 @@
+const { estimateRun } = require('./usage');
+
+/**
+ * Client-side rate limiting in requests per minute and tokens per minute,
+ * the two limits of OpenAI's usage tiers. Each limit is a token bucket that
+ * holds a minute's worth and refills continuously. A limit of 0 means
+ * unlimited until the API's x-ratelimit-* response headers report one.
+ */
+
+/**
+ * Milliseconds in an OpenAI reset duration ("20ms", "1.5s", "6m0s", "1h2m")
+ * or a plain number of seconds; null if unreadable
+ */
+function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(String(value))) return parseFloat(value) * 1000;
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of String(value).matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+/**
+ * { requests, tokens } from x-ratelimit-* headers, each { limit, remaining,
+ * resetMs } with null for missing values. `headers` may be a plain object or
+ * a fetch Headers instance.
+ */
+function parseRateLimitHeaders(headers) {
+  const get = (name) => {
+    if (!headers) return null;
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === undefined ? null : value;
+  };
+  const number = (value) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+  };
+
+  const read = (kind) => ({
+    limit: number(get(`x-ratelimit-limit-${kind}`)),
+    remaining: number(get(`x-ratelimit-remaining-${kind}`)),
+    resetMs: parseDuration(get(`x-ratelimit-reset-${kind}`))
+  });
+
+  return { requests: read('requests'), tokens: read('tokens') };
+}
+
+function createBucket(perMinute) {
+  return { configured: perMinute, capacity: perMinute, level: perMinute, updated: Date.now(), blockedUntil: 0 };
+}
+
+function refill(bucket, now) {
+  if (bucket.capacity > 0) {
+    bucket.level = Math.min(bucket.capacity, bucket.level + (now - bucket.updated) * bucket.capacity / 60000);
+  }
+  bucket.updated = now;
+}
+
+// Milliseconds until `amount` fits (requests larger than the whole bucket
+// wait for a full bucket)
+function waitTime(bucket, amount, now) {
+  const blocked = Math.max(0, bucket.blockedUntil - now);
+  if (bucket.capacity <= 0) return blocked;
+  const missing = Math.min(amount, bucket.capacity) - bucket.level;
+  return Math.max(blocked, missing > 0 ? Math.ceil(missing * 60000 / bucket.capacity) : 0);
+}
+
+// Adopt what the API reports: its limit (never above a configured one), at
+// most its remaining allowance, and a full stop until the reset when none
+// is left
+function tune(bucket, { limit, remaining, resetMs }, now) {
+  if (limit > 0) {
+    const capacity = bucket.configured > 0 ? Math.min(bucket.configured, limit) : limit;
+    // A limit learned only now starts from a full bucket
+    if (bucket.capacity <= 0) bucket.level = capacity;
+    bucket.capacity = capacity;
+  }
+  if (remaining !== null && bucket.capacity > 0) {
+    bucket.level = Math.min(bucket.level, remaining);
+  }
+  if (remaining === 0 && resetMs !== null) {
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, now + resetMs);
+  }
+}
+
+/**
+ * Rate limiter for { requestsPerMinute, tokensPerMinute }:
+ *
+ * - acquire(tokens): resolves when a request of about `tokens` may be sent
+ *   (callers are served in order)
+ * - update(headers): self-tune from a reply's (or error's) headers
+ * - settle(estimated, usage): correct the token bucket once the reply's
+ *   actual { promptTokens, completionTokens } are known
+ * - limits(): the limits currently applied, { requestsPerMinute, tokensPerMinute }
+ */
+function createRateLimiter({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+  const requests = createBucket(requestsPerMinute);
+  const tokens = createBucket(tokensPerMinute);
+  let queue = Promise.resolve();
+
+  async function take(amount) {
+    for (;;) {
+      const now = Date.now();
+      refill(requests, now);
+      refill(tokens, now);
+      const wait = Math.max(waitTime(requests, 1, now), waitTime(tokens, amount, now));
+      if (wait <= 0) {
+        requests.level -= 1;
+        tokens.level -= amount;
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  return {
+    acquire(amount = 0) {
+      const turn = queue.then(() => take(amount));
+      queue = turn.catch(() => {});
+      return turn;
+    },
+
+    update(headers) {
+      const now = Date.now();
+      const reported = parseRateLimitHeaders(headers);
+      refill(requests, now);
+      refill(tokens, now);
+      tune(requests, reported.requests, now);
+      tune(tokens, reported.tokens, now);
+    },
+
+    settle(estimated, usage) {
+      const actual = usage ? usage.promptTokens + usage.completionTokens : 0;
+      if (actual > 0) tokens.level += estimated - actual;
+    },
+
+    limits() {
+      return { requestsPerMinute: requests.capacity, tokensPerMinute: tokens.capacity };
+    }
+  };
+}
+
+/**
+ * Tokens to reserve for a request: the prompt plus the expected reply
+ */
+function estimateRequestTokens(system, input) {
+  const estimate = estimateRun([input], system);
+  return estimate.promptTokens + estimate.completionTokens;
+}
+
+/**
+ * Achieved throughput of a run: record(tokens) once per finished chunk,
+ * summary() gives { chunks, tokens, minutes, chunksPerMinute, tokensPerMinute }
+ */
+function createThroughputMeter() {
+  const started = Date.now();
+  let chunks = 0;
+  let tokens = 0;
+
+  return {
+    record(chunkTokens = 0) {
+      chunks++;
+      tokens += chunkTokens;
+    },
+
+    summary() {
+      const minutes = (Date.now() - started) / 60000;
+      return {
+        chunks,
+        tokens,
+        minutes,
+        chunksPerMinute: minutes > 0 ? chunks / minutes : 0,
+        tokensPerMinute: minutes > 0 ? tokens / minutes : 0
+      };
+    }
+  };
+}
+
+/**
+ * "12.5 chunks/min, 48,000 tokens/min"
+ */
+function formatThroughput(throughput) {
+  return `${throughput.chunksPerMinute.toFixed(1)} chunks/min, ` +
+    `${Math.round(throughput.tokensPerMinute).toLocaleString()} tokens/min`;
+}
+
+module.exports = {
+  parseDuration,
+  parseRateLimitHeaders,
+  createRateLimiter,
+  estimateRequestTokens,
+  createThroughputMeter,
+  formatThroughput
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { parseBatch } = require('./segments');
+
+/**
+ * Change-aware resume. A progress database records the hash of the source
+ * file and the settings its chunks were made with; on the next run these
+ * are compared with the current input. When they differ the file can be
+ * re-chunked and matchChunks() carries the translations of unchanged
+ * chunks (or, for structured formats, unchanged segments) over, so only
+ * new and modified chunks go to the API.
+ */
+
+// Settings that decide how a file is chunked and what a translation means,
+// with the names used when reporting a change
+const RUN_SETTINGS = {
+  sourceLang: 'source language',
+  targetLang: 'target language',
+  format: 'input format',
+  chunkSize: 'chunk size',
+  chunkUnit: 'chunk size unit',
+  keys: 'JSON keys',
+  columns: 'CSV columns',
+  maxLineLength: 'max line length',
+  prompt: 'prompt'
+};
+
+// Changing these makes the stored translations useless. Translations are
+// stored per target language, so adding or dropping one keeps the others.
+const TRANSLATION_SETTINGS = ['sourceLang', 'prompt'];
+
+function contentHash(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function formatSetting(value) {
+  if (value === undefined || value === null || value === '') return 'none';
+  return Array.isArray(value) ? value.join(',') || 'none' : String(value);
+}
+
+/**
+ * What changed between the recorded run `previous` and `current` (both
+ * { sourceHash, settings }): a list of readable descriptions, empty if
+ * nothing did. Settings missing from `previous` (recorded by an older
+ * version) are not compared.
+ */
+function describeChanges(previous, current) {
+  const changes = [];
+  if (previous.sourceHash && previous.sourceHash !== current.sourceHash) {
+    changes.push('source text');
+  }
+  for (const [key, name] of Object.entries(RUN_SETTINGS)) {
+    if (!Object.hasOwn(previous.settings, key)) continue;
+    const before = formatSetting(previous.settings[key]);
+    const after = formatSetting(current.settings[key]);
+    if (before !== after) changes.push(`${name} (${before} -> ${after})`);
+  }
+  return changes;
+}
+
+/**
+ * Whether translations made with `previous` settings still apply
+ */
+function translationsReusable(previous, current) {
+  return TRANSLATION_SETTINGS.every(key =>
+    !Object.hasOwn(previous.settings, key) || formatSetting(previous.settings[key]) === formatSetting(current.settings[key]));
+}
+
+function batchEntries(text) {
+  try {
+    return parseBatch(text);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Match newly made `chunks` against the stored translations `previous`
+ * ({ source, translated, clean, record } of every translated chunk; clean
+ * when it passed the quality checks). A chunk whose text is unchanged (same
+ * content hash) gets `previous: record`. With `segments`, a batch whose
+ * segments were all translated cleanly before, in whatever batch, gets
+ * `translated`: the JSON text of their translations under the new ids.
+ * Other chunks are returned as they are.
+ */
+function matchChunks(chunks, previous, { segments = false } = {}) {
+  const byHash = new Map();
+  const segmentTranslations = new Map();
+
+  for (const entry of previous) {
+    const hash = contentHash(entry.source);
+    if (!byHash.has(hash)) byHash.set(hash, entry);
+    if (!segments || !entry.clean) continue;
+
+    const translations = Object.fromEntries(batchEntries(entry.translated).map(({ id, text }) => [id, text]));
+    for (const { id, text } of batchEntries(entry.source)) {
+      if (typeof translations[id] === 'string') segmentTranslations.set(contentHash(text), translations[id]);
+    }
+  }
+
+  return chunks.map(chunk => {
+    const match = byHash.get(contentHash(chunk.text));
+    if (match) return { ...chunk, previous: match.record };
+    if (!segments) return chunk;
+
+    const batch = batchEntries(chunk.text);
+    const known = batch.map(({ id, text }) => [id, segmentTranslations.get(contentHash(text))]);
+    if (batch.length === 0 || known.some(([, translated]) => translated === undefined)) return chunk;
+    return { ...chunk, translated: JSON.stringify(Object.fromEntries(known)) };
+  });
+}
+
+module.exports = { RUN_SETTINGS, contentHash, describeChanges, translationsReusable, matchChunks };
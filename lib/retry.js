@@ -0,0 +1,91 @@
+/**
+ * Retry policy for API calls: exponential backoff with full jitter,
+ * honoring Retry-After, up to a maximum number of attempts. Rate limits
+ * (429), timeouts (408), server errors (5xx) and network errors are
+ * retried; anything else (bad request, auth, ...) fails immediately.
+ */
+
+const RETRY_DEFAULTS = {
+  maxAttempts: 5,
+  baseDelay: 1000,
+  maxDelay: 60000
+};
+
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET'
+]);
+
+/**
+ * Whether an error from an API call is worth retrying
+ */
+function isRetryable(error) {
+  const status = error.status;
+  if (status === 408 || status === 409 || status === 429) return true;
+  if (status >= 500) return true;
+  if (status) return false;
+
+  // No HTTP status: connection problems and client-side timeouts
+  return NETWORK_ERROR_CODES.has(error.code) ||
+    (error.cause && NETWORK_ERROR_CODES.has(error.cause.code)) ||
+    error.name === 'APIConnectionError' ||
+    error.name === 'APIConnectionTimeoutError' ||
+    error.name === 'TimeoutError' ||
+    error.name === 'FetchError';
+}
+
+/**
+ * Server-requested wait in ms from `retry-after-ms` / `Retry-After`
+ * (seconds or an HTTP date), or null. `headers` may be a plain object
+ * or a fetch Headers instance.
+ */
+function retryAfterMs(headers) {
+  if (!headers) return null;
+  const get = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+  const ms = parseFloat(get('retry-after-ms'));
+  if (!isNaN(ms)) return ms;
+
+  const value = get('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before retry number `attempt` (1 = first retry)
+ */
+function retryDelay(attempt, error, options = {}) {
+  const { baseDelay, maxDelay } = { ...RETRY_DEFAULTS, ...options };
+  const requested = retryAfterMs(error && error.headers);
+  if (requested !== null) return Math.min(requested, maxDelay);
+
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run `fn(attempt)` until it succeeds, the error isn't retryable or
+ * `maxAttempts` is reached. `onRetry(error, attempt, delay)` is called
+ * before each wait. The final error gets an `attempts` property.
+ */
+async function withRetry(fn, options = {}) {
+  const { maxAttempts, onRetry } = { ...RETRY_DEFAULTS, ...options };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = retryDelay(attempt, error, options);
+      if (onRetry) onRetry(error, attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = { RETRY_DEFAULTS, isRetryable, retryAfterMs, retryDelay, withRetry };
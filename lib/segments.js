@@ -0,0 +1,245 @@
+/**
+ * Segment batches for structured formats.
+ *
+ * Structured files are reduced to a list of { id, text } segments. Segments
+ * are grouped into batches sent to the model as a JSON object keyed by id,
+ * and the reply must be a JSON object with the same keys. Anything inside a
+ * segment that must survive untouched (inline code, URLs, tags, template
+ * variables) is swapped for a ⟦n⟧ placeholder first.
+ */
+
+const { estimateTokens } = require('./usage');
+
+const PLACEHOLDER_PATTERN = /⟦(\d+)⟧/g;
+
+/**
+ * Replace every match of `pattern` with a numbered placeholder
+ */
+function protect(text, pattern) {
+  const tokens = [];
+  if (!pattern) return { text, tokens };
+
+  const protectedText = text.replace(pattern, (match) => {
+    tokens.push(match);
+    return `⟦${tokens.length - 1}⟧`;
+  });
+  return { text: protectedText, tokens };
+}
+
+/**
+ * Put protected tokens back. Placeholders the model dropped are appended
+ * so no markup is lost; unknown placeholders are removed.
+ */
+function restore(text, tokens) {
+  if (tokens.length === 0) return text;
+
+  const used = new Set();
+  let restored = text.replace(PLACEHOLDER_PATTERN, (match, index) => {
+    const i = parseInt(index, 10);
+    if (i >= tokens.length || used.has(i)) return '';
+    used.add(i);
+    return tokens[i];
+  });
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (!used.has(i)) restored += tokens[i];
+  }
+  return restored;
+}
+
+/**
+ * Collects a document as literal parts and translatable segments.
+ * Handlers call literal()/segment() in document order, then rebuild()
+ * joins everything back with the translations filled in. Handlers that
+ * rebuild structurally (JSON, CSV) rebuild one value at a time using
+ * position() ranges.
+ */
+function createCollector() {
+  const parts = [];
+  const segments = [];
+
+  function literal(text) {
+    if (text) parts.push(text);
+  }
+
+  /**
+   * Add a segment; text without any letters is kept as a literal.
+   * `options.protect` is a RegExp of spans to keep untouched and
+   * `options.escape` post-processes the translation (e.g. for attributes).
+   * `options.id` overrides the sequential id (e.g. a subtitle cue number).
+   */
+  function segment(text, options = {}) {
+    if (!/\p{L}/u.test(text)) {
+      literal(text);
+      return;
+    }
+
+    // Surrounding whitespace belongs to the structure, not the segment
+    const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    const { text: protectedText, tokens } = protect(core, options.protect);
+    const id = options.id || String(segments.length + 1);
+
+    literal(leading);
+    segments.push({ id, text: protectedText });
+    parts.push({ id, tokens, source: core, escape: options.escape });
+    literal(trailing);
+  }
+
+  // Index of the next part, for rebuilding a slice of the document
+  function position() {
+    return parts.length;
+  }
+
+  function rebuild(translations, from = 0, to = parts.length) {
+    return parts.slice(from, to).map(part => {
+      if (typeof part === 'string') return part;
+      const translated = translations.get(part.id);
+      if (translated === undefined) return part.source;
+      const restored = restore(translated, part.tokens);
+      return part.escape ? part.escape(restored) : restored;
+    }).join('');
+  }
+
+  return { segments, literal, segment, position, rebuild };
+}
+
+/**
+ * Group segments into batches of roughly `maxSize` source characters, or
+ * with `tokens` estimated source tokens
+ */
+function batchSegments(segments, maxSize = 4000, { tokens = false } = {}) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+
+  for (const segment of segments) {
+    const length = tokens ? estimateTokens(segment.text) : segment.text.length;
+    if (current.length > 0 && size + length > maxSize) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(segment);
+    size += length;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+/**
+ * Batch -> JSON object text sent to the model
+ */
+function encodeBatch(batch) {
+  const obj = {};
+  for (const segment of batch) obj[segment.id] = segment.text;
+  return JSON.stringify(obj, null, 2);
+}
+
+/**
+ * Batch JSON text (as stored) -> [{ id, text }]
+ */
+function parseBatch(batchText) {
+  return Object.entries(JSON.parse(batchText)).map(([id, text]) => ({ id, text }));
+}
+
+/**
+ * Split a batch whose translation was cut off at the output token limit
+ * into two batches (JSON texts), or null if it has a single segment
+ */
+function splitBatch(batchText) {
+  const segments = parseBatch(batchText);
+  if (segments.length < 2) return null;
+  const half = Math.ceil(segments.length / 2);
+  return [encodeBatch(segments.slice(0, half)), encodeBatch(segments.slice(half))];
+}
+
+/**
+ * Parse the model's reply. Resolves the translations for `expectedIds`
+ * and lists the ids that are missing, not strings or given more than once
+ * (JSON.parse would silently keep the last duplicate).
+ */
+function decodeBatch(responseText, expectedIds) {
+  const start = responseText.indexOf('{');
+  const end = responseText.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Response is not a JSON object');
+  }
+
+  const json = responseText.slice(start, end + 1);
+  const data = JSON.parse(json);
+  const translations = {};
+  const missing = [];
+
+  const keyCounts = new Map();
+  for (const match of json.matchAll(/"(\d+)"\s*:/g)) {
+    keyCounts.set(match[1], (keyCounts.get(match[1]) || 0) + 1);
+  }
+
+  for (const id of expectedIds) {
+    if (typeof data[id] === 'string' && keyCounts.get(id) === 1) {
+      translations[id] = data[id];
+    } else {
+      missing.push(id);
+    }
+  }
+
+  return { translations, missing };
+}
+
+/**
+ * Translate a stored batch. `translate(text)` sends a batch JSON text to
+ * the model and resolves to its reply. Segments missing from the reply are
+ * re-requested once; if any are still missing this throws. Resolves to a
+ * JSON object text of id -> translation.
+ */
+async function translateBatch(batchText, translate, log = () => {}) {
+  const translations = {};
+  let remaining = parseBatch(batchText);
+
+  for (let attempt = 1; attempt <= 2 && remaining.length > 0; attempt++) {
+    const reply = await translate(encodeBatch(remaining));
+
+    let decoded;
+    try {
+      decoded = decodeBatch(reply, remaining.map(segment => segment.id));
+    } catch (error) {
+      log(`unreadable reply (${error.message})`);
+      continue;
+    }
+
+    Object.assign(translations, decoded.translations);
+    remaining = remaining.filter(segment => decoded.missing.includes(segment.id));
+    if (remaining.length > 0) {
+      log(`${remaining.length} segments missing from reply`);
+    }
+  }
+
+  if (remaining.length > 0) {
+    throw new Error(`Segments missing from translation: ${remaining.map(segment => segment.id).join(', ')}`);
+  }
+  return JSON.stringify(translations);
+}
+
+/**
+ * Extra instructions for a batch of segments from a `kind` document
+ */
+function buildSegmentInstruction(kind) {
+  return `The input is a JSON object whose values are text segments extracted from a ${kind} document. ` +
+    'Translate every value. Respond with a JSON object that has exactly the same keys, each mapped to its translation. ' +
+    'Keep placeholders like ⟦0⟧ exactly as they are, in the position that fits the translated sentence. ' +
+    'Do not merge, split, add or drop keys.';
+}
+
+module.exports = {
+  protect,
+  restore,
+  createCollector,
+  batchSegments,
+  encodeBatch,
+  parseBatch,
+  splitBatch,
+  decodeBatch,
+  translateBatch,
+  buildSegmentInstruction
+};
@@ -0,0 +1,90 @@
+/**
+ * Language-aware sentence segmentation.
+ *
+ * Sentences end at Latin (. ! ? …), CJK (。 ！ ？), Arabic/Urdu (؟ ۔) and
+ * Devanagari (। ॥) terminators, followed by any closing quotes or brackets.
+ * CJK full-width terminators end a sentence right away; the others need
+ * whitespace after them, and a period does not end a sentence after a known
+ * abbreviation, a single initial, or before a lowercase word or digit.
+ * Blank lines always end a sentence.
+ */
+
+const TERMINATORS = '.!?…‼⁇⁈⁉。！？｡؟۔।॥';
+// Full-width terminators: no space follows them in CJK text
+const FULL_WIDTH_TERMINATORS = '。！？｡';
+const CLOSERS = '"\'”’»›)]}」』）】〕〉》';
+
+// Abbreviations (lowercase, without the final period) that a period may
+// follow mid-sentence, by language code; `common` applies to every language
+const ABBREVIATIONS = {
+  common: ['etc', 'vs', 'ca', 'dr', 'prof', 'vol', 'fig', 'pp', 'cf'],
+  en: ['mr', 'mrs', 'ms', 'st', 'jr', 'sr', 'e.g', 'i.e', 'inc', 'ltd', 'co', 'approx', 'dept', 'est', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'u.s', 'a.m', 'p.m'],
+  es: ['sr', 'sra', 'srta', 'dra', 'ud', 'uds', 'd', 'dña', 'av', 'pág', 'núm', 'p.ej', 'aprox'],
+  fr: ['m', 'mm', 'mme', 'mmes', 'mlle', 'st', 'ste', 'p.ex', 'env', 'av', 'bd'],
+  de: ['hr', 'fr', 'z.b', 'u.a', 'usw', 'bzw', 'vgl', 'd.h', 'str', 'ggf', 'evtl', 'inkl', 's'],
+  it: ['sig', 'sigg', 'sig.ra', 'dott', 'ecc', 'pag', 'es'],
+  pt: ['sr', 'sra', 'dra', 'pág', 'p.ex', 'av', 'exmo', 'exma'],
+  nl: ['dhr', 'mevr', 'bijv', 'enz', 'blz', 'o.a', 'm.a.w', 'd.w.z'],
+  ru: ['г', 'гг', 'т.е', 'т.д', 'т.п', 'др', 'им', 'стр', 'ул', 'проф', 'см']
+};
+
+function abbreviationsFor(lang) {
+  return new Set([...ABBREVIATIONS.common, ...(ABBREVIATIONS[lang] || [])]);
+}
+
+// Whether the period at `index` ends a sentence
+function periodEndsSentence(text, index, next, abbreviations) {
+  const word = (text.slice(0, index).match(/[\p{L}.]+$/u) || [''])[0].toLowerCase();
+  if (abbreviations.has(word)) return false;
+  // Initials ("J. R. R. Tolkien")
+  if (word.length === 1 && /\p{Lu}/u.test(text[index - 1])) return false;
+  // A lowercase word or digit after the period continues the sentence
+  return !/^[\p{Ll}\d]/u.test(next);
+}
+
+/**
+ * Sentences of a text (trimmed, non-empty). `lang` is a language code
+ * (see lib/quality.js) for its abbreviations, or null.
+ */
+function splitSentences(text, lang = null) {
+  const abbreviations = abbreviationsFor(lang);
+  const sentences = [];
+  let start = 0;
+
+  const push = (end) => {
+    const sentence = text.slice(start, end).trim();
+    if (sentence) sentences.push(sentence);
+    start = end;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\n' && /^\n[^\S\n]*\n/.test(text.slice(i, i + 64))) {
+      push(i);
+      continue;
+    }
+    if (!TERMINATORS.includes(char)) continue;
+
+    // Take repeated terminators and closing quotes/brackets with the sentence
+    let end = i + 1;
+    while (end < text.length && (TERMINATORS.includes(text[end]) || CLOSERS.includes(text[end]))) end++;
+
+    if (FULL_WIDTH_TERMINATORS.includes(text[end - 1]) || FULL_WIDTH_TERMINATORS.includes(char)) {
+      push(end);
+      i = end - 1;
+      continue;
+    }
+    if (end < text.length && !/\s/.test(text[end])) continue;
+
+    const next = text.slice(end).trimStart();
+    if (char === '.' && end === i + 1 && !periodEndsSentence(text, i, next, abbreviations)) continue;
+    push(end);
+    i = end - 1;
+  }
+  push(text.length);
+
+  return sentences;
+}
+
+module.exports = { splitSentences, TERMINATORS, FULL_WIDTH_TERMINATORS, CLOSERS };
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const { once } = require('events');
+const { joinChunk } = require('./chunking');
+
+/**
+ * Streaming output: translated chunks are written to a Writable (a file or
+ * stdout) as they become writable, instead of joining the whole translation
+ * in memory first. streamTextChunks() in lib/chunking.js is the input side.
+ */
+
+/**
+ * A write stream to `filePath`, once the file is open (rejects if it can't
+ * be created)
+ */
+async function openOutput(filePath) {
+  const output = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  await once(output, 'ready');
+  return output;
+}
+
+/**
+ * Write `text` to `output`, waiting for it to drain when its buffer is full.
+ * Rejects if the stream errors (e.g. a closed pipe).
+ */
+async function writeText(output, text) {
+  if (!output.write(text)) await once(output, 'drain');
+}
+
+/**
+ * End `output` and wait until everything is written. Standard output is
+ * left open.
+ */
+async function closeOutput(output) {
+  if (output === process.stdout || output === process.stderr) return;
+  output.end();
+  await once(output, 'finish');
+}
+
+/**
+ * Writer of translated chunks ({ translated, leading, trailing }, see
+ * joinChunk) that arrive in any order: add(index, chunk) holds a chunk
+ * until every chunk before it has been written, then writes the
+ * contiguous run. add() resolves once the chunks it made writable are
+ * written; `written` is the number of chunks written, `waiting` the number
+ * held back.
+ */
+function createOrderedWriter(output) {
+  const held = new Map();
+  let next = 0;
+  let writing = Promise.resolve();
+
+  const flush = async () => {
+    while (held.has(next)) {
+      const text = joinChunk(held.get(next), next);
+      held.delete(next);
+      next++;
+      await writeText(output, text);
+    }
+  };
+
+  return {
+    add(index, chunk) {
+      held.set(index, chunk);
+      writing = writing.then(flush);
+      return writing;
+    },
+    get written() {
+      return next;
+    },
+    get waiting() {
+      return held.size;
+    }
+  };
+}
+
+module.exports = { openOutput, writeText, closeOutput, createOrderedWriter };
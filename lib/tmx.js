@@ -0,0 +1,129 @@
+const { LANGUAGES, languageCode } = require('./quality');
+
+/**
+ * TMX 1.4 reading and writing.
+ *
+ * A unit is { source, target, sourceLang, targetLang, props } where props
+ * are written as <prop type="..."> elements and read back the same way.
+ * Languages are BCP 47 tags (see languageTag); a null language is written
+ * without xml:lang and read back as null.
+ */
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(str) {
+  return str
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * BCP 47 tag for a language as the code passes it around (a name such as
+ * "French", a code, or a tag such as "pt-BR"), or null when it is unknown:
+ * "auto", no language, or a name the language table doesn't have
+ */
+function languageTag(language) {
+  if (!language || language === 'auto') return null;
+  const code = languageCode(language);
+  if (code) return code;
+  const value = language.trim();
+  return /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i.test(value) ? value : null;
+}
+
+/**
+ * Language name for a tag read from a TMX file ("fr-FR" -> "French"), the
+ * form the CLI's prompts and memory keys use; unknown tags are kept
+ */
+function languageFromTag(tag) {
+  if (!tag) return null;
+  const language = LANGUAGES[tag.split(/[-_]/)[0].toLowerCase()];
+  return language ? language.name : tag;
+}
+
+function tuv(lang, text) {
+  const attribute = lang ? ` xml:lang="${escapeXml(lang)}"` : '';
+  return `      <tuv${attribute}><seg>${escapeXml(text)}</seg></tuv>`;
+}
+
+/**
+ * Build a TMX document from translation units. `srcLang` is the header's
+ * source language tag; '*all*' (any) when it is not known.
+ */
+function buildTmx(units, { srcLang = null, segType = 'paragraph' } = {}) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="easy-translator" creationtoolversion="1.0.0" segtype="${segType}" o-tmf="easy-translator" adminlang="en" srclang="${escapeXml(srcLang || '*all*')}" datatype="plaintext"/>`,
+    '  <body>'
+  ];
+
+  for (const unit of units) {
+    lines.push('    <tu>');
+    for (const [type, value] of Object.entries(unit.props || {})) {
+      if (value === undefined || value === null) continue;
+      lines.push(`      <prop type="${escapeXml(type)}">${escapeXml(value)}</prop>`);
+    }
+    lines.push(tuv(unit.sourceLang, unit.source));
+    lines.push(tuv(unit.targetLang, unit.target));
+    lines.push('    </tu>');
+  }
+
+  lines.push('  </body>', '</tmx>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Parse a TMX document. The first <tuv> of each <tu> is treated as the
+ * source and the second as the target. Inline markup inside <seg> is dropped.
+ */
+function parseTmx(xml) {
+  const units = [];
+  const tuPattern = /<tu[\s>][\s\S]*?<\/tu>/g;
+  const propPattern = /<prop\s+type="([^"]*)"\s*>([\s\S]*?)<\/prop>/g;
+  const tuvPattern = /<tuv(?:\s[^>]*?(?:xml:)?lang="([^"]*)")?[^>]*>[\s\S]*?<seg>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/g;
+
+  let tuMatch;
+  while ((tuMatch = tuPattern.exec(xml)) !== null) {
+    const tu = tuMatch[0];
+
+    const props = {};
+    let propMatch;
+    while ((propMatch = propPattern.exec(tu)) !== null) {
+      props[unescapeXml(propMatch[1])] = unescapeXml(propMatch[2]);
+    }
+
+    const variants = [];
+    let tuvMatch;
+    while ((tuvMatch = tuvPattern.exec(tu)) !== null) {
+      variants.push({
+        lang: tuvMatch[1] ? unescapeXml(tuvMatch[1]) : null,
+        text: unescapeXml(tuvMatch[2].replace(/<[^>]+>/g, ''))
+      });
+    }
+
+    if (variants.length < 2) continue;
+
+    units.push({
+      source: variants[0].text,
+      target: variants[1].text,
+      sourceLang: variants[0].lang,
+      targetLang: variants[1].lang,
+      props
+    });
+  }
+
+  return units;
+}
+
+module.exports = { buildTmx, parseTmx, escapeXml, unescapeXml, languageTag, languageFromTag };
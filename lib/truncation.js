@@ -0,0 +1,53 @@
+const { splitChunk, joinChunks } = require('./chunking');
+const { splitBatch } = require('./segments');
+
+/**
+ * Replies cut off at the model's output token limit (Chat Completions
+ * finish_reason "length", an incomplete Responses output). Providers flag
+ * them `truncated`; callers throw truncatedError() instead of storing half
+ * a translation, and translateWithSplits() translates the chunk again in
+ * smaller pieces.
+ */
+
+// Times a piece is split again before the chunk fails
+const MAX_SPLIT_DEPTH = 3;
+
+function truncatedError(label) {
+  const error = new Error(`${label}: reply cut off at the model's output token limit`);
+  error.code = 'OUTPUT_TRUNCATED';
+  return error;
+}
+
+function isTruncated(error) {
+  return !!error && error.code === 'OUTPUT_TRUNCATED';
+}
+
+/**
+ * Translate `source` (a chunk's text, or with `segments` a JSON segment
+ * batch) with `translate(text)`. If the reply is cut off, the source is
+ * split (splitChunk / splitBatch), each piece is translated the same way
+ * and the translations are joined (with the source's whitespace between
+ * pieces, or merged into one batch). `onSplit(pieces)` is called with the
+ * number of pieces before they are translated.
+ */
+async function translateWithSplits(source, translate, { segments = false, onSplit = () => {}, depth = 0 } = {}) {
+  try {
+    return await translate(source);
+  } catch (error) {
+    if (!isTruncated(error) || depth >= MAX_SPLIT_DEPTH) throw error;
+    const pieces = segments ? splitBatch(source) : splitChunk(source);
+    if (!pieces) throw error;
+    onSplit(pieces.length);
+
+    const translations = [];
+    for (const piece of pieces) {
+      translations.push(await translateWithSplits(segments ? piece : piece.text, translate, { segments, onSplit, depth: depth + 1 }));
+    }
+    if (segments) {
+      return JSON.stringify(Object.assign({}, ...translations.map(translation => JSON.parse(translation))));
+    }
+    return joinChunks(pieces.map((piece, i) => ({ translated: translations[i], leading: piece.leading, trailing: piece.trailing })));
+  }
+}
+
+module.exports = { MAX_SPLIT_DEPTH, truncatedError, isTruncated, translateWithSplits };
@@ -0,0 +1,171 @@
+const fs = require('fs');
+
+/**
+ * Token estimates and cost accounting.
+ *
+ * Prices are USD per 1M tokens. They change over time, so a JSON file of
+ * the same shape ({ "model": { "input": 2.5, "output": 10 } }) can be
+ * merged over the defaults.
+ */
+const DEFAULT_PRICES = {
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5.2': { input: 1.75, output: 14 }
+};
+
+// Context window and output cap (tokens) per model; other models get
+// DEFAULT_LIMITS. Used to size chunks in token mode (CHUNK_TOKENS).
+const MODEL_LIMITS = {
+  'gpt-4-turbo': { context: 128000, output: 4096 },
+  'gpt-4o': { context: 128000, output: 16384 },
+  'gpt-4o-mini': { context: 128000, output: 16384 },
+  'gpt-3.5-turbo': { context: 16385, output: 4096 },
+  'gpt-5-nano': { context: 400000, output: 128000 },
+  'gpt-5-mini': { context: 400000, output: 128000 },
+  'gpt-5.2': { context: 400000, output: 128000 }
+};
+const DEFAULT_LIMITS = { context: 8192, output: 4096 };
+
+// Translations usually come out a little longer than the source
+const OUTPUT_RATIO = 1.2;
+
+// Estimated tokens a language needs for the same content as English, by
+// language code (see lib/quality.js), measured with estimateTokens
+const TOKEN_DENSITY = {
+  en: 1, es: 1.2, fr: 1.25, de: 1.25, it: 1.2, pt: 1.2, nl: 1.2,
+  ru: 2.2, uk: 2.2, bg: 2.2, el: 2.3, he: 1.5, ar: 1.6, fa: 1.6,
+  hi: 2, th: 1.8, zh: 1.3, ja: 1.8, ko: 1.6
+};
+
+// Share of the output cap a chunk's expected translation may use; the
+// estimates are rough
+const OUTPUT_HEADROOM = 0.8;
+
+// Per-request overhead of the chat format (role markers etc.)
+const MESSAGE_OVERHEAD = 8;
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Approximate token count without a tokenizer: ~4 characters per token
+ * for Latin text, ~1 token per CJK character, ~2 characters per token for
+ * other scripts (Cyrillic, Hebrew, Arabic, ...).
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+
+  let tokens = 0;
+  for (const char of text) tokens += tokenWeight(char);
+  return Math.ceil(tokens);
+}
+
+/**
+ * Estimated tokens of one character (code point), see estimateTokens
+ */
+function tokenWeight(char) {
+  if (char.codePointAt(0) < 0x0250) return 0.25;
+  return CJK.test(char) ? 1 : 0.5;
+}
+
+/**
+ * Expected translation/source token ratio for a language pair (codes);
+ * OUTPUT_RATIO when either language is unknown
+ */
+function expansionRatio(sourceLang, targetLang) {
+  if (!TOKEN_DENSITY[sourceLang] || !TOKEN_DENSITY[targetLang]) return OUTPUT_RATIO;
+  return TOKEN_DENSITY[targetLang] / TOKEN_DENSITY[sourceLang];
+}
+
+/**
+ * { context, output } token limits of a model
+ */
+function modelLimits(model) {
+  return MODEL_LIMITS[model] || DEFAULT_LIMITS;
+}
+
+/**
+ * Largest chunk (estimated source tokens) a model can translate in one
+ * request: its expected translation (`expansion` times the source) must fit
+ * the output cap with some headroom, and the system prompt
+ * (`promptTokens`), the chunk and its translation the context window
+ */
+function chunkTokenBudget(model, { expansion = OUTPUT_RATIO, promptTokens = 0 } = {}) {
+  const limits = modelLimits(model);
+  const byOutput = limits.output * OUTPUT_HEADROOM / expansion;
+  const byContext = (limits.context - promptTokens - MESSAGE_OVERHEAD) / (1 + expansion);
+  return Math.max(1, Math.floor(Math.min(byOutput, byContext)));
+}
+
+/**
+ * Default prices with the entries of a JSON price file merged over them
+ */
+function loadPrices(filePath) {
+  if (!filePath) return { ...DEFAULT_PRICES };
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read price table ${filePath}: ${error.message}`);
+  }
+  for (const [model, price] of Object.entries(data)) {
+    if (typeof price.input !== 'number' || typeof price.output !== 'number') {
+      throw new Error(`Price for ${model} needs numeric "input" and "output" (USD per 1M tokens)`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...data };
+}
+
+/**
+ * Cost in USD of { promptTokens, completionTokens } for a model,
+ * or null if the model has no price
+ */
+function estimateCost(usage, model, prices = DEFAULT_PRICES) {
+  const price = prices[model];
+  if (!price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Projected usage of translating `chunks` (strings): every request sends
+ * the system prompt plus the chunk and gets back roughly the chunk again
+ */
+function estimateRun(chunks, systemPrompt = '') {
+  const promptOverhead = estimateTokens(systemPrompt) + MESSAGE_OVERHEAD;
+  let promptTokens = 0;
+  let completionTokens = 0;
+
+  for (const chunk of chunks) {
+    const tokens = estimateTokens(chunk);
+    promptTokens += promptOverhead + tokens;
+    completionTokens += Math.ceil(tokens * OUTPUT_RATIO);
+  }
+
+  return { chunks: chunks.length, promptTokens, completionTokens };
+}
+
+/**
+ * "$1.23" (or "$0.0042" for small amounts)
+ */
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'n/a';
+  return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  MODEL_LIMITS,
+  estimateTokens,
+  tokenWeight,
+  expansionRatio,
+  modelLimits,
+  chunkTokenBudget,
+  loadPrices,
+  estimateCost,
+  estimateRun,
+  formatCost
+};
@@ -0,0 +1,166 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP archives for the server's batch uploads and downloads:
+ * createZip() writes deflated entries with UTF-8 names, readZip() reads
+ * stored and deflated entries (no encryption, ZIP64 or multi-disk).
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_DIRECTORY = 0x06054b50;
+// General purpose flag: names are UTF-8
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields of `date`
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * ZIP archive (a Buffer) of `entries`: [{ name, data }], `data` a string
+ * (written as UTF-8) or a Buffer, `name` a "/"-separated relative path
+ */
+function createZip(entries, { date = new Date() } = {}) {
+  const { time, date: day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(stored ? STORED : DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(stored ? STORED : DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Whether an entry name stays inside the directory it is extracted to
+ */
+function isSafeName(name) {
+  return name !== '' && !name.startsWith('/') && !/^[a-zA-Z]:/.test(name) &&
+    !name.split('/').some(part => part === '..');
+}
+
+function findEndOfDirectory(buffer) {
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_DIRECTORY) return i;
+  }
+  throw new Error('Not a zip file');
+}
+
+/**
+ * The files in a ZIP archive: [{ name, data }] with `data` a Buffer, in
+ * archive order. Directory entries are skipped; names use "/". Throws on
+ * names that would leave the extraction directory (absolute, "..") and
+ * when the files add up to more than `maxSize` bytes.
+ */
+function readZip(buffer, { maxSize = Infinity } = {}) {
+  const end = findEndOfDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  let size = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(position) !== CENTRAL_HEADER) throw new Error('Corrupt zip file');
+    const flags = buffer.readUInt16LE(position + 8);
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const originalSize = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength).replace(/\\/g, '/');
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (!isSafeName(name)) throw new Error(`Unsafe path in zip file: ${name}`);
+    if (flags & 1) throw new Error(`Encrypted zip entries are not supported: ${name}`);
+    if (compressedSize === 0xffffffff || originalSize === 0xffffffff) throw new Error('ZIP64 files are not supported');
+    size += originalSize;
+    if (size > maxSize) throw new Error(`Zip file contents exceed ${maxSize} bytes`);
+
+    if (buffer.readUInt32LE(offset) !== LOCAL_HEADER) throw new Error('Corrupt zip file');
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const body = buffer.subarray(start, start + compressedSize);
+    let data;
+    if (method === STORED) {
+      data = Buffer.from(body);
+    } else if (method === DEFLATED) {
+      data = zlib.inflateRawSync(body, { maxOutputLength: Math.max(originalSize, 1) });
+    } else {
+      throw new Error(`Unsupported compression method ${method}: ${name}`);
+    }
+    if (data.length !== originalSize || crc32(data) !== crc) throw new Error(`Corrupt zip entry: ${name}`);
+    entries.push({ name, data });
+  }
+  return entries;
+}
+
+module.exports = { createZip, readZip, isSafeName, crc32 };
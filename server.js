@@ -2,30 +2,106 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { OpenAI } = require('openai');
-const sqlite3 = require('sqlite3').verbose();
+const { EventEmitter, setMaxListeners } = require('events');
+const {
+  parseGlossary,
+  findTermsInText,
+  buildGlossaryInstruction,
+  findGlossaryViolations
+} = require('./lib/glossary');
+const { DEFAULT_MEMORY_PATH, openMemory, lookupMemory, saveToMemory } = require('./lib/memory');
+const { detectFormat, extractDocument, FORMAT_NAMES } = require('./lib/formats');
+const { streamTextChunks, joinChunk } = require('./lib/chunking');
+const { withRetry } = require('./lib/retry');
+const { loadPrices, estimateCost } = require('./lib/usage');
+const { createRateLimiter, estimateRequestTokens, createThroughputMeter } = require('./lib/ratelimit');
+const { runPool, createSlots } = require('./lib/pool');
+const {
+  checkTranslation,
+  buildStrictInstruction,
+  targetLanguageFromPrompt,
+  sourceLanguageFromPrompt,
+  parseLanguages,
+  languageSlug,
+  promptForLanguage
+} = require('./lib/quality');
+const { EXPORT_FORMATS, pairsFromRows, buildExport } = require('./lib/export');
+const { createProvider } = require('./lib/providers');
+const { truncatedError, translateWithSplits } = require('./lib/truncation');
+const { storeChunksInDatabase, readTranslations } = require('./lib/database');
+const { openOutput, writeText, closeOutput } = require('./lib/streaming');
+const { MANIFEST_FILE, isTranslatable, languageOutputPath, fileStatus, manifestTotals } = require('./lib/batch');
+const { createZip, readZip, isSafeName } = require('./lib/zip');
+const {
+  openJobDatabase,
+  saveJob,
+  loadJob,
+  getChunkRows,
+  readChunkRows,
+  saveChunkResult,
+  listJobDatabases,
+  closeDatabase
+} = require('./lib/jobs');
+const {
+  batchSegments,
+  encodeBatch,
+  translateBatch,
+  buildSegmentInstruction
+} = require('./lib/segments');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize OpenAI
-const openai = new OpenAI({
+// Translation provider: chat (default), responses or mock, optionally at a
+// self-hosted OpenAI-compatible base URL
+const provider = createProvider({
+  provider: process.env.PROVIDER,
+  baseUrl: process.env.OPENAI_BASE_URL,
   apiKey: process.env.OPENAI_API_KEY,
+  authHeader: process.env.AUTH_HEADER
 });
 
+const MAX_ATTEMPTS = parseInt(process.env.MAX_ATTEMPTS) || 5;
+const MAX_CONCURRENT = parseInt(process.env.MAX_CONCURRENT) || 5;
+// Requests in flight over all jobs, so a batch of files doesn't multiply it
+const requestSlots = createSlots(MAX_CONCURRENT);
+// Stricter re-translations of a chunk that fails the quality checks
+const QUALITY_RETRIES = process.env.QUALITY_RETRIES !== undefined ? parseInt(process.env.QUALITY_RETRIES) || 0 : 1;
+
+// Shared by all jobs, since the API's limits are per key; 0 = no limit
+// until the API's rate limit headers report one
+const rateLimiter = createRateLimiter({
+  requestsPerMinute: parseInt(process.env.RATE_LIMIT_RPM) || 0,
+  tokensPerMinute: parseInt(process.env.RATE_LIMIT_TPM) || 0
+});
+const PRICES = loadPrices(process.env.PRICES_FILE);
+
 // Available models
 const MODELS = ['gpt-4-turbo', 'gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo'];
 
-// Store active translation jobs
+// Jobs by id. Each job is persisted in <jobId>.db in JOBS_DIR, so jobs
+// survive a restart; finished jobs are removed JOB_TTL_HOURS after completion
+const JOBS_DIR = 'uploads';
+const JOB_TTL_HOURS = parseFloat(process.env.JOB_TTL_HOURS) || 24;
 const jobs = new Map();
 
+// Progress events of a job, as emitted by the CLI's translateFile
+const JOB_EVENTS = ['job-start', 'job-status', 'chunk-start', 'chunk-retry', 'chunk-success', 'chunk-failure', 'job-done'];
+
+// Translation memory shared by all jobs
+const memoryReady = openMemory(process.env.TRANSLATION_MEMORY || DEFAULT_MEMORY_PATH);
+
 // Configure multer for file uploads
 const upload = multer({
-  dest: 'uploads/',
+  dest: JOBS_DIR,
   limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
+// Files in one batch upload, and the total size of the files in its zips
+const MAX_BATCH_FILES = 200;
+const MAX_BATCH_SIZE = 200 * 1024 * 1024;
+
 app.use(express.static('public'));
 app.use(express.json());
 
@@ -34,44 +110,274 @@ app.get('/api/models', (req, res) => {
   res.json(MODELS);
 });
 
-// Start translation job
-app.post('/api/translate', upload.single('file'), async (req, res) => {
+// Start translation job. Several files, or a zip of them, start a batch:
+// one job per file, sharing a batchId (see /api/batches/:batchId).
+// targetLanguages (repeated, or comma-separated) translates every file into
+// each language, the prompt's target swapped for it (see promptForLanguage)
+app.post('/api/translate', upload.fields([
+  { name: 'file', maxCount: MAX_BATCH_FILES },
+  { name: 'glossary', maxCount: 1 }
+]), async (req, res) => {
+  const uploaded = (req.files && req.files.file) || [];
+  const removeUploads = () => {
+    for (const file of uploaded) {
+      if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    }
+  };
+
   try {
-    if (!req.file) {
+    if (uploaded.length === 0) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
     const { prompt, model } = req.body;
     if (!prompt) {
+      removeUploads();
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
-    const jobId = Date.now().toString();
-    const inputPath = req.file.path;
-    const outputPath = path.join('uploads', `${jobId}_output.txt`);
-    const dbPath = path.join('uploads', `${jobId}.db`);
-
-    // Read the file
-    const text = fs.readFileSync(inputPath, 'utf8');
-
-    // Initialize job
-    jobs.set(jobId, {
-      status: 'processing',
-      total: 0,
-      completed: 0,
-      failed: 0,
-      outputPath,
-      inputPath,
-      dbPath,
-      error: null
-    });
+    // Optional glossary (CSV or JSON)
+    let glossary = [];
+    const glossaryFile = req.files.glossary && req.files.glossary[0];
+    if (glossaryFile) {
+      const format = path.extname(glossaryFile.originalname).toLowerCase() === '.json' ? 'json' : 'csv';
+      try {
+        glossary = parseGlossary(fs.readFileSync(glossaryFile.path, 'utf8'), format);
+      } catch (error) {
+        removeUploads();
+        return res.status(400).json({ error: `Invalid glossary: ${error.message}` });
+      } finally {
+        fs.unlinkSync(glossaryFile.path);
+      }
+    }
+
+    const splitList = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+    const settings = {
+      model: model || 'gpt-4-turbo',
+      prompt,
+      options: {
+        glossary,
+        keys: splitList(req.body.jsonKeys),
+        columns: splitList(req.body.csvColumns),
+        targetLanguages: parseLanguages(req.body.targetLanguages),
+        // "false" skips the output language check (see checkTranslation)
+        languageCheck: req.body.languageCheck !== 'false'
+      }
+    };
+    const isZip = (file) => path.extname(file.originalname).toLowerCase() === '.zip';
+
+    if (uploaded.length === 1 && !isZip(uploaded[0])) {
+      const file = uploaded[0];
+      const job = await createJob(Date.now().toString(), { inputPath: file.path, fileName: file.originalname }, settings);
+      return res.json({ jobId: job.id });
+    }
+
+    // Batch: the uploaded files and the translatable files in zips, by
+    // their path (hidden files and macOS metadata in zips are skipped)
+    const files = [];
+    try {
+      for (const file of uploaded) {
+        if (!isZip(file)) {
+          const name = file.originalname.replace(/\\/g, '/');
+          files.push({ relativePath: isSafeName(name) ? name : path.basename(name), inputPath: file.path });
+          continue;
+        }
+        for (const entry of readZip(fs.readFileSync(file.path), { maxSize: MAX_BATCH_SIZE })) {
+          const hidden = entry.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+          if (!hidden && isTranslatable(entry.name)) files.push({ relativePath: entry.name, data: entry.data });
+        }
+      }
+    } catch (error) {
+      removeUploads();
+      return res.status(400).json({ error: `Invalid zip file: ${error.message}` });
+    }
+
+    const duplicate = files.find((file, i) => files.findIndex(other => other.relativePath === file.relativePath) !== i);
+    const problem = files.length === 0 ? 'No translatable files in the upload'
+      : files.length > MAX_BATCH_FILES ? `Too many files (at most ${MAX_BATCH_FILES})`
+        : duplicate ? `Duplicate file: ${duplicate.relativePath}`
+          : files.some(file => file.relativePath === MANIFEST_FILE) ? `${MANIFEST_FILE} is reserved for the batch manifest`
+            : null;
+    if (problem) {
+      removeUploads();
+      return res.status(400).json({ error: problem });
+    }
 
-    // Start translation in background
-    processTranslation(jobId, text, prompt, model || 'gpt-4-turbo', outputPath, dbPath);
+    const batchId = Date.now().toString();
+    const jobIds = [];
+    for (const [i, file] of files.entries()) {
+      const jobId = `${batchId}-${i + 1}`;
+      let inputPath = file.inputPath;
+      if (!inputPath) {
+        inputPath = path.join(JOBS_DIR, `${jobId}_input`);
+        fs.writeFileSync(inputPath, file.data);
+      }
+      const job = await createJob(jobId, {
+        inputPath,
+        fileName: path.posix.basename(file.relativePath),
+        relativePath: file.relativePath,
+        batchId
+      }, settings);
+      jobIds.push(job.id);
+    }
+    for (const file of uploaded.filter(isZip)) fs.unlinkSync(file.path);
 
-    res.json({ jobId });
+    res.json({ batchId, jobIds });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// List jobs, newest first
+app.get('/api/jobs', (req, res) => {
+  const list = [...jobs.values()]
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(job => ({
+      id: job.id,
+      status: job.status,
+      fileName: job.fileName,
+      batchId: job.batchId || null,
+      relativePath: job.relativePath || null,
+      targetLanguages: job.options.targetLanguages || [],
+      model: job.model,
+      total: job.total,
+      completed: job.completed,
+      needsReview: job.needsReview,
+      failed: job.failed,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      expiresAt: expiresAt(job)
+    }));
+  res.json(list);
+});
+
+// Pause a job: chunks already in flight finish, then it stops. The status
+// is saved right away, so a restart doesn't resume the job.
+app.post('/api/jobs/:jobId/pause', async (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'processing') {
+    return res.status(409).json({ error: `Job is ${job.status}` });
+  }
+  job.status = 'paused';
+  job.events.emit('job-status', { status: job.status });
+  await (job.db ? saveJob(job.db, job) : persistJob(job))
+    .catch(error => console.error(`Could not save job ${job.id}: ${error.message}`));
+  res.json({ status: job.status });
+});
+
+// Resume a paused job from its pending chunks
+app.post('/api/jobs/:jobId/resume', (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'paused') {
+    return res.status(409).json({ error: `Job is ${job.status}` });
+  }
+  job.status = 'processing';
+  job.events.emit('job-status', { status: job.status });
+  // Still finishing its last chunks: the running loop carries on
+  if (!job.running) startJob(job);
+  res.json({ status: job.status });
+});
+
+// Cancel a job: requests in flight are aborted, translated chunks are kept
+// until the job expires but no output is written
+app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'processing' && job.status !== 'paused') {
+    return res.status(409).json({ error: `Job is ${job.status}` });
+  }
+  job.status = 'cancelled';
+  job.events.emit('job-status', { status: job.status });
+  if (job.running) {
+    job.abortController.abort();
+  } else {
+    job.completedAt = new Date().toISOString();
+    await persistJob(job).catch(error => console.error(`Could not save job ${job.id}: ${error.message}`));
+    job.events.emit('job-done', { status: job.status, error: null });
+  }
+  res.json({ status: job.status });
+});
+
+// Stream a job's progress as Server-Sent Events. The stream opens with a
+// job-start snapshot and the chunks finished so far, so the page can render
+// the translation whenever it connects (EventSource reconnects on its own);
+// it ends after job-done.
+app.get('/api/jobs/:jobId/events', async (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = (type, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (type === 'job-done') res.end();
+  };
+
+  // Live events wait until the stored chunks have been sent; a chunk that
+  // finished meanwhile is sent once, from the database
+  let buffered = [];
+  const replayed = new Set();
+  const chunkKey = (chunk, targetLang) => `${chunk}:${targetLang || ''}`;
+  const listeners = JOB_EVENTS.map(type => [type, (data) => {
+    if (buffered) buffered.push([type, data]);
+    else send(type, data);
+  }]);
+  for (const [type, listener] of listeners) job.events.on(type, listener);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    for (const [type, listener] of listeners) job.events.off(type, listener);
+  });
+
+  send('job-start', {
+    status: job.status,
+    total: job.total,
+    completed: job.completed,
+    failed: job.failed,
+    format: job.format,
+    languages: job.options.targetLanguages || []
+  });
+  try {
+    for (const row of await readChunkRows(job.dbPath)) {
+      if (row.status !== 'pending') replayed.add(chunkKey(row.sequence_number, row.target_lang));
+      if (row.status === 'success' || row.status === 'needs_review') {
+        send('chunk-success', {
+          chunk: row.sequence_number,
+          targetLang: row.target_lang,
+          translation: row.translated_text,
+          fromMemory: !!row.from_memory,
+          qualityIssues: JSON.parse(row.quality_issues || '[]')
+        });
+      } else if (row.status === 'failure') {
+        send('chunk-failure', { chunk: row.sequence_number, targetLang: row.target_lang, error: row.error_message });
+      }
+    }
+  } catch (error) {
+    console.error(`Could not read job ${job.id}: ${error.message}`);
+  }
+
+  const live = buffered;
+  buffered = null;
+  for (const [type, data] of live) {
+    if (type.startsWith('chunk-') && replayed.has(chunkKey(data.chunk, data.targetLang))) continue;
+    send(type, data);
+  }
+  if (job.status === 'complete' || job.status === 'error' || job.status === 'cancelled') {
+    send('job-done', { status: job.status, error: job.error });
   }
 });
 
@@ -85,13 +391,28 @@ app.get('/api/status/:jobId', (req, res) => {
     status: job.status,
     total: job.total,
     completed: job.completed,
+    needsReview: job.needsReview,
     failed: job.failed,
+    reused: job.reused,
+    retries: job.retries,
+    languages: job.languages,
+    glossaryViolations: job.glossaryViolations,
+    usage: {
+      promptTokens: job.promptTokens,
+      completionTokens: job.completionTokens,
+      cost: estimateCost(job, job.model, PRICES)
+    },
+    throughput: job.throughput || null,
+    expiresAt: expiresAt(job),
     error: job.error
   });
 });
 
 // Download result
-app.get('/api/download/:jobId', (req, res) => {
+// ?format= picks a bilingual export (see lib/export.js) instead of the
+// translated document. A job translated into several languages takes
+// ?lang= (a name or its code); without it all languages come as a zip.
+app.get('/api/download/:jobId', async (req, res) => {
   const job = jobs.get(req.params.jobId);
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
@@ -99,153 +420,394 @@ app.get('/api/download/:jobId', (req, res) => {
   if (job.status !== 'complete') {
     return res.status(400).json({ error: 'Translation not complete' });
   }
-  res.download(job.outputPath, 'translated.txt');
-});
 
-// Smart chunking - finds best break points in priority order:
-// 1. Paragraph breaks (double newline)
-// 2. Sentence endings (. ! ?)
-// 3. Commas
-// 4. Spaces
-function splitTextIntoChunks(text, chunkSize = 4000) {
-  const chunks = [];
-  let startPos = 0;
-
-  while (startPos < text.length) {
-    // If remaining text fits in one chunk, take it all
-    if (startPos + chunkSize >= text.length) {
-      chunks.push(text.substring(startPos));
-      break;
+  const format = req.query.format || 'document';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `Unknown format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+  }
+  const languages = jobLanguages(job);
+  const language = req.query.lang
+    ? languages.find(name => name && (name === req.query.lang || languageSlug(name) === req.query.lang))
+    : languages.length === 1 ? languages[0] : undefined;
+  if (req.query.lang && language === undefined) {
+    return res.status(400).json({ error: `Unknown language: ${req.query.lang} (use ${languages.filter(Boolean).join(', ') || 'none'})` });
+  }
+
+  try {
+    if (language === undefined) {
+      const entries = [];
+      for (const name of languages) entries.push(await jobDownload(job, name, format));
+      res.attachment(`translated-${job.id}.zip`);
+      return res.send(createZip(entries));
     }
+    const { name, data } = await jobDownload(job, language, format);
+    res.attachment(name);
+    res.send(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const searchStart = startPos + Math.floor(chunkSize * 0.5); // Don't break too early
-    const searchEnd = startPos + chunkSize;
-    const searchRegion = text.substring(searchStart, searchEnd);
+// Progress of a batch: each file's status, chunk counts and errors, as in
+// its manifest
+app.get('/api/batches/:batchId', (req, res) => {
+  const list = batchJobs(req.params.batchId);
+  if (list.length === 0) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  const manifest = batchManifest(req.params.batchId, list);
+  res.json({ status: batchRunning(list) ? 'processing' : 'complete', ...manifest });
+});
 
-    let breakOffset = -1;
+// Download a finished batch as a zip: each translated file at its path in
+// the upload (below a directory per language, e.g. de/<path>, when
+// translated into several), plus manifest.json. ?format= picks a bilingual
+// export for every file (named <path>.<extension>).
+app.get('/api/batches/:batchId/download', async (req, res) => {
+  const list = batchJobs(req.params.batchId);
+  if (list.length === 0) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  if (batchRunning(list)) {
+    return res.status(400).json({ error: 'Batch not complete' });
+  }
 
-    // Priority 1: Paragraph break (double newline)
-    const paragraphMatch = searchRegion.lastIndexOf('\n\n');
-    if (paragraphMatch !== -1) {
-      breakOffset = paragraphMatch + 2; // After the double newline
-    }
+  const format = req.query.format || 'document';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `Unknown format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+  }
 
-    // Priority 2: Sentence ending (. ! ? followed by space or newline)
-    if (breakOffset === -1) {
-      for (let i = searchRegion.length - 1; i >= 0; i--) {
-        const char = searchRegion[i];
-        const prevChar = i > 0 ? searchRegion[i - 1] : '';
-        if ((prevChar === '.' || prevChar === '!' || prevChar === '?') &&
-            (char === ' ' || char === '\n')) {
-          breakOffset = i;
-          break;
-        }
+  try {
+    const manifest = batchManifest(req.params.batchId, list, format);
+    const entries = [];
+    for (const job of list.filter(job => job.status === 'complete')) {
+      for (const language of jobLanguages(job)) {
+        const { data } = await jobDownload(job, language, format);
+        entries.push({ name: batchOutputName(job, language, format), data });
       }
     }
+    entries.push({ name: MANIFEST_FILE, data: JSON.stringify(manifest, null, 2) + '\n' });
 
-    // Priority 3: Comma followed by space
-    if (breakOffset === -1) {
-      for (let i = searchRegion.length - 1; i >= 0; i--) {
-        if (searchRegion[i] === ' ' && i > 0 && searchRegion[i - 1] === ',') {
-          breakOffset = i;
-          break;
-        }
-      }
-    }
+    res.attachment(`translated-${req.params.batchId}.zip`);
+    res.send(createZip(entries));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Priority 4: Any space
-    if (breakOffset === -1) {
-      const lastSpace = searchRegion.lastIndexOf(' ');
-      if (lastSpace !== -1) {
-        breakOffset = lastSpace + 1;
-      }
-    }
+// Thrown instead of sending a request for a job that was paused or cancelled
+function stoppedError() {
+  const error = new Error('Job stopped before the request was sent');
+  error.code = 'JOB_STOPPED';
+  return error;
+}
+
+// Translate a single chunk, retrying rate limits, server and network errors.
+// Every attempt waits for the rate limiter first.
+// options: { glossaryTerms, instruction, strictInstruction, json, signal, shouldSend, onAttempt, onRetry, onUsage } -
+// `instruction` and `strictInstruction` (for a re-translation after failed
+// quality checks) are appended to the system prompt, `json` asks for a JSON
+// object reply, aborting `signal` cancels the request and `shouldSend()`
+// returning false (checked after the rate limiter) stops it unsent
+async function translateChunk(text, prompt, model, options = {}) {
+  const glossaryInstruction = buildGlossaryInstruction(options.glossaryTerms);
+  const system = `${prompt}\n\nPreserve the original formatting and paragraph breaks. Only output the translation, no explanations.` +
+    (options.instruction ? `\n\n${options.instruction}` : '') +
+    (glossaryInstruction ? `\n\n${glossaryInstruction}` : '') +
+    (options.strictInstruction ? `\n\n${options.strictInstruction}` : '');
+  const estimated = estimateRequestTokens(system, text);
 
-    // Calculate actual break position
-    let breakPos;
-    if (breakOffset !== -1) {
-      breakPos = searchStart + breakOffset;
-    } else {
-      // No good break point found, hard cut at chunk size
-      breakPos = searchEnd;
+  const response = await withRetry(async () => {
+    await rateLimiter.acquire(estimated);
+    // Paused or cancelled while waiting for the rate limiter: not sent
+    if (options.shouldSend && !options.shouldSend()) throw stoppedError();
+    if (options.onAttempt) options.onAttempt();
+    try {
+      const reply = await provider.complete({
+        model,
+        system,
+        input: text,
+        temperature: 0.3,
+        json: options.json,
+        signal: options.signal
+      });
+      rateLimiter.update(reply.headers);
+      rateLimiter.settle(estimated, reply.usage);
+      return reply;
+    } catch (error) {
+      rateLimiter.update(error.headers);
+      throw error;
     }
+  }, { maxAttempts: MAX_ATTEMPTS, onRetry: options.onRetry });
 
-    chunks.push(text.substring(startPos, breakPos));
-    startPos = breakPos;
-  }
+  if (options.onUsage) options.onUsage(response.usage);
+  if (response.truncated) throw truncatedError('Chunk');
 
-  return chunks;
+  return response.text.trim();
 }
 
-// Translate a single chunk
-async function translateChunk(text, prompt, model) {
-  const response = await openai.chat.completions.create({
-    model: model,
-    messages: [
-      {
-        role: "system",
-        content: `${prompt}\n\nPreserve the original formatting and paragraph breaks. Only output the translation, no explanations.`
-      },
-      {
-        role: "user",
-        content: text
-      }
-    ],
-    temperature: 0.3
-  });
+// Extracted document for a structured file, or null for plain text.
+// options: { keys, columns } - JSON keys / CSV columns to translate
+function readDocument(format, text, fileName, options = {}) {
+  if (format === 'text') return null;
+  return extractDocument(format, text, { keys: options.keys, columns: options.columns, fileName });
+}
+
+// Create a job for an uploaded file, store its chunks and start it.
+// input: { inputPath, fileName, relativePath, batchId } - the last two for
+// a file of a batch. With options.targetLanguages there is a chunk row per
+// chunk and language. A file that can't be parsed throws (status 400),
+// except in a batch, where it becomes a failed job so it is listed in the
+// batch's manifest.
+async function createJob(jobId, input, { model, prompt, options }) {
+  const format = detectFormat(input.fileName);
+  const extension = format === 'text' ? '.txt' : path.extname(input.fileName).toLowerCase();
+
+  // Structured files: only their text segments are translated
+  let document = null;
+  let parseError = null;
+  try {
+    document = readDocument(format, format === 'text' ? null : fs.readFileSync(input.inputPath, 'utf8'), input.fileName, options);
+  } catch (error) {
+    parseError = `Could not parse ${FORMAT_NAMES[format]} file: ${error.message}`;
+  }
+  if (parseError && !input.batchId) {
+    fs.unlinkSync(input.inputPath);
+    throw Object.assign(new Error(parseError), { status: 400 });
+  }
+
+  const job = {
+    id: jobId,
+    status: 'processing',
+    total: 0,
+    completed: 0,
+    needsReview: 0,
+    failed: 0,
+    reused: 0,
+    retries: 0,
+    glossaryViolations: [],
+    languages: {},
+    model,
+    prompt,
+    format,
+    fileName: input.fileName,
+    batchId: input.batchId || null,
+    relativePath: input.relativePath || null,
+    options,
+    promptTokens: 0,
+    completionTokens: 0,
+    outputPath: path.join(JOBS_DIR, `${jobId}_output${extension}`),
+    downloadName: `translated${extension}`,
+    inputPath: input.inputPath,
+    dbPath: path.join(JOBS_DIR, `${jobId}.db`),
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    error: null
+  };
+  job.events = createJobEvents();
+
+  if (parseError) {
+    Object.assign(job, { status: 'error', error: parseError, completedAt: job.createdAt });
+    await persistJob(job);
+    jobs.set(jobId, job);
+    return job;
+  }
+
+  // Store the chunks and the job before answering, so a restart can resume
+  // it. Plain text is chunked as it is read, not loaded whole.
+  let chunks = [];
+  if (document) {
+    chunks = batchSegments(document.segments).map(batch => ({ text: encodeBatch(batch), leading: '', trailing: '', boundary: null }));
+  } else {
+    for await (const chunk of streamTextChunks(fs.createReadStream(input.inputPath))) chunks.push(chunk);
+  }
+  const targetLanguages = options.targetLanguages || [];
+  job.total = chunks.length * Math.max(targetLanguages.length, 1);
+  job.languages = Object.fromEntries(targetLanguages.map(language =>
+    [language, { total: chunks.length, completed: 0, needsReview: 0, failed: 0 }]));
+  job.db = await openJobDatabase(job.dbPath);
+  await storeChunksInDatabase(job.db, chunks, null, targetLanguages.length > 0 ? targetLanguages : null, null);
+  await saveJob(job.db, job);
+  jobs.set(jobId, job);
 
-  return response.choices[0].message.content.trim();
+  // Start translation in background
+  processTranslation(job, document);
+  return job;
 }
 
-// Process translation job
-async function processTranslation(jobId, text, prompt, model, outputPath, dbPath) {
-  const job = jobs.get(jobId);
+// Translate the job's pending chunks, then write the output file (one per
+// target language). For structured formats `document` is the extracted
+// input: each chunk is a batch of its segments and the output is rebuilt
+// from them. Up to MAX_CONCURRENT chunks are in flight, the next starting
+// as soon as one finishes, and at most MAX_CONCURRENT over all jobs
+// (requestSlots); the rows of every language share that limit. The job's
+// status is checked before each chunk starts: a paused or cancelled job
+// starts no more (cancelling also aborts the requests in flight).
+async function processTranslation(job, document) {
+  const { glossary = [] } = job.options;
+  const { model, prompt, format } = job;
+  // The target language for the quality checks, if the prompt names one
+  const promptTarget = targetLanguageFromPrompt(prompt);
+  job.running = true;
+  job.meter = createThroughputMeter();
+  job.abortController = new AbortController();
+  // Every request of the job listens on this signal
+  setMaxListeners(0, job.abortController.signal);
+
+  // Plain chunks are translated as-is, segment batches as JSON; a chunk
+  // whose reply is cut off is translated again in smaller pieces
+  const translate = (chunk, rowPrompt, terms, callbacks) => translateWithSplits(chunk, (piece) => {
+    if (!document) return translateChunk(piece, rowPrompt, model, { glossaryTerms: terms, ...callbacks });
+    const instruction = buildSegmentInstruction(FORMAT_NAMES[format]);
+    return translateBatch(piece, (batchText) => translateChunk(batchText, rowPrompt, model, {
+      glossaryTerms: terms,
+      instruction,
+      json: true,
+      ...callbacks
+    }));
+  }, { segments: !!document });
 
   try {
-    const chunks = splitTextIntoChunks(text);
-    job.total = chunks.length;
+    const memoryDb = await memoryReady;
+    const pending = await getChunkRows(job.db, 'pending');
 
-    const translations = new Array(chunks.length);
-    const maxConcurrent = 5;
+    const processRow = async (row) => {
+      // Rows of a job with target languages ask for their own language
+      const targetLang = row.target_lang || promptTarget;
+      const rowPrompt = row.target_lang ? promptForLanguage(prompt, row.target_lang) : prompt;
+      const counts = row.target_lang ? job.languages[row.target_lang] : null;
+      const chunkEvent = { chunk: row.sequence_number, targetLang: row.target_lang };
+      const terms = findTermsInText(glossary, row.source_text);
+      // The segment format and glossary terms are part of the memory key
+      const instructions = [document ? buildSegmentInstruction(FORMAT_NAMES[format]) : '', buildGlossaryInstruction(terms)]
+        .filter(Boolean).join('\n\n') || null;
+      const memoryEntry = { sourceText: row.source_text, sourceLang: null, targetLang: row.target_lang, model, prompt: rowPrompt, instructions };
+      let attempts = 0;
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      const callbacks = {
+        signal: job.abortController.signal,
+        shouldSend: () => job.status === 'processing',
+        onAttempt: () => attempts++,
+        onRetry: (error, attempt, delay) => {
+          job.retries++;
+          job.events.emit('chunk-retry', { ...chunkEvent, attempt, delay, error: error.message });
+        },
+        onUsage: (reply) => {
+          usage.promptTokens += reply.promptTokens;
+          usage.completionTokens += reply.completionTokens;
+          job.promptTokens += reply.promptTokens;
+          job.completionTokens += reply.completionTokens;
+        }
+      };
 
-    for (let i = 0; i < chunks.length; i += maxConcurrent) {
-      const batch = chunks.slice(i, i + maxConcurrent);
-      const batchPromises = batch.map(async (chunk, batchIndex) => {
-        const chunkIndex = i + batchIndex;
-        try {
-          const translation = await translateChunk(chunk, prompt, model);
-          translations[chunkIndex] = translation;
-          job.completed++;
-        } catch (error) {
-          if (error.status === 429) {
-            // Rate limit - wait and retry
-            await new Promise(resolve => setTimeout(resolve, 20000));
-            try {
-              const translation = await translateChunk(chunk, prompt, model);
-              translations[chunkIndex] = translation;
-              job.completed++;
-            } catch (retryError) {
-              translations[chunkIndex] = `[TRANSLATION ERROR: ${retryError.message}]`;
-              job.failed++;
+      job.events.emit('chunk-start', chunkEvent);
+      try {
+        let translation = await lookupMemory(memoryDb, memoryEntry);
+        const fromMemory = translation !== null;
+        let qualityIssues = [];
+        if (!fromMemory) {
+          // Re-translate with a stricter prompt while the checks fail,
+          // keeping the attempt with the fewest issues
+          const check = (text) => checkTranslation(row.source_text, text, {
+            targetLang,
+            segments: !!document,
+            language: job.options.languageCheck !== false
+          });
+          translation = await translate(row.source_text, rowPrompt, terms, callbacks);
+          qualityIssues = check(translation);
+          for (let retry = 1; qualityIssues.length > 0 && retry <= QUALITY_RETRIES; retry++) {
+            const summary = qualityIssues.map(issue => issue.message).join('; ');
+            job.retries++;
+            job.events.emit('chunk-retry', { ...chunkEvent, attempt: retry, delay: 0, error: `Quality check: ${summary}` });
+            const strictInstruction = buildStrictInstruction(qualityIssues, row.source_text, targetLang);
+            const retried = await translate(row.source_text, rowPrompt, terms, { ...callbacks, strictInstruction });
+            const retriedIssues = check(retried);
+            if (retriedIssues.length <= qualityIssues.length) {
+              translation = retried;
+              qualityIssues = retriedIssues;
             }
-          } else {
-            translations[chunkIndex] = `[TRANSLATION ERROR: ${error.message}]`;
-            job.failed++;
           }
+          // Only translations that pass the checks are reused
+          if (qualityIssues.length === 0) await saveToMemory(memoryDb, memoryEntry, translation);
         }
-      });
-
-      await Promise.all(batchPromises);
 
-      // Small delay between batches
-      if (i + maxConcurrent < chunks.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        const violations = findGlossaryViolations(terms, translation);
+        await saveChunkResult(job.db, row.id, { translation, fromMemory, violations, qualityIssues, attempts, usage });
+        if (violations.length > 0) {
+          job.glossaryViolations.push({ chunk: row.sequence_number, missing: violations });
+        }
+        job.completed++;
+        if (qualityIssues.length > 0) job.needsReview++;
+        if (fromMemory) job.reused++;
+        if (counts) {
+          counts.completed++;
+          if (qualityIssues.length > 0) counts.needsReview++;
+        }
+        job.meter.record(usage.promptTokens + usage.completionTokens);
+        job.events.emit('chunk-success', {
+          ...chunkEvent,
+          translation,
+          fromMemory,
+          glossaryViolations: violations,
+          qualityIssues
+        });
+      } catch (error) {
+        // Aborted by a cancel, or not sent after a pause: the chunk stays pending
+        if (job.status === 'cancelled' || error.code === 'JOB_STOPPED') return;
+        // Retryable errors were already retried by translateChunk
+        await saveChunkResult(job.db, row.id, { error: error.message || 'Unknown error', attempts, usage });
+        job.failed++;
+        if (counts) counts.failed++;
+        job.meter.record(usage.promptTokens + usage.completionTokens);
+        job.events.emit('chunk-failure', { ...chunkEvent, error: error.message, attempts });
       }
+      await saveJob(job.db, job);
+    };
+
+    // A chunk may wait for a slot while the job is paused or cancelled
+    await runPool(pending, (row) => requestSlots.run(() => job.status === 'processing' ? processRow(row) : null), {
+      concurrency: MAX_CONCURRENT,
+      shouldContinue: () => job.status === 'processing'
+    });
+
+    // Paused or cancelled (or resumed before the loop noticed): no output yet
+    if (job.status !== 'processing' || (await getChunkRows(job.db, 'pending')).length > 0) {
+      await stopTranslation(job);
+      return;
     }
 
-    // Write output - trim each chunk and join with double newline for consistent paragraph breaks
-    const outputText = translations.map(t => t.trim()).join('\n\n');
-    fs.writeFileSync(outputPath, outputText, 'utf8');
+    // The rows of each language are read a page at a time
+    for (const language of jobLanguages(job)) {
+      const columns = 'sequence_number, translated_text, status, error_message, leading_whitespace, trailing_whitespace';
+      if (document) {
+        // Failed batches keep their source text
+        const segmentTranslations = new Map();
+        for await (const row of readTranslations(job.db, language, columns)) {
+          if (row.status !== 'success' && row.status !== 'needs_review') continue;
+          for (const [id, segment] of Object.entries(JSON.parse(row.translated_text))) {
+            segmentTranslations.set(id, segment);
+          }
+        }
+        fs.writeFileSync(jobOutputPath(job, language), document.rebuild(segmentTranslations), 'utf8');
+      } else {
+        // Written chunk by chunk, putting back the whitespace the source
+        // had around each
+        const output = await openOutput(jobOutputPath(job, language));
+        try {
+          for await (const row of readTranslations(job.db, language, columns)) {
+            await writeText(output, joinChunk({
+              translated: row.status === 'success' || row.status === 'needs_review'
+                ? row.translated_text
+                : `[TRANSLATION ERROR: ${row.error_message}]`,
+              leading: row.leading_whitespace,
+              trailing: row.trailing_whitespace
+            }, row.sequence_number));
+          }
+        } finally {
+          await closeOutput(output);
+        }
+      }
+    }
 
     job.status = 'complete';
 
@@ -256,8 +818,225 @@ async function processTranslation(jobId, text, prompt, model, outputPath, dbPath
     job.status = 'error';
     job.error = error.message;
   }
+
+  await stopTranslation(job);
 }
 
+// Save and close a job whose loop has ended. Finished jobs get their
+// completion time; a job resumed while its last chunks were finishing is
+// started again.
+async function stopTranslation(job) {
+  if (job.status !== 'paused' && job.status !== 'processing') {
+    job.completedAt = new Date().toISOString();
+  }
+  try {
+    await saveJob(job.db, job);
+  } catch (error) {
+    console.error(`Could not save job ${job.id}: ${error.message}`);
+  }
+  await closeDatabase(job.db);
+  job.db = null;
+  job.abortController = null;
+  job.throughput = job.meter.summary();
+  job.running = false;
+
+  if (job.status === 'processing') {
+    startJob(job);
+  } else if (job.status !== 'paused') {
+    job.events.emit('job-done', { status: job.status, error: job.error, throughput: job.throughput });
+  }
+}
+
+// Run a job whose database is closed (restored after a restart, or paused).
+// The input file is kept until the job completes, so structured files are
+// extracted again from it.
+async function startJob(job) {
+  job.running = true;
+  try {
+    if (!fs.existsSync(job.inputPath)) throw new Error(`Input file is missing: ${job.inputPath}`);
+    const text = job.format === 'text' ? null : fs.readFileSync(job.inputPath, 'utf8');
+    const document = readDocument(job.format, text, job.fileName, job.options);
+    job.db = await openJobDatabase(job.dbPath);
+    processTranslation(job, document);
+  } catch (error) {
+    // e.g. the input file is gone: report the job as failed
+    console.error(`Could not start job ${job.id}: ${error.message}`);
+    Object.assign(job, { status: 'error', error: error.message, completedAt: new Date().toISOString(), running: false });
+    await persistJob(job).catch(() => {});
+    job.events.emit('job-done', { status: job.status, error: job.error });
+  }
+}
+
+// Emitter for a job's progress events; every event stream adds a listener
+function createJobEvents() {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  return events;
+}
+
+// Write the metadata of a job that isn't running (its database is closed)
+async function persistJob(job) {
+  const db = await openJobDatabase(job.dbPath);
+  try {
+    await saveJob(db, job);
+  } finally {
+    await closeDatabase(db);
+  }
+}
+
+// When a finished job and its files are removed (ISO string), or null
+function expiresAt(job) {
+  if (!job.completedAt) return null;
+  return new Date(Date.parse(job.completedAt) + JOB_TTL_HOURS * 3600 * 1000).toISOString();
+}
+
+// Jobs of a batch, in upload order
+function batchJobs(batchId) {
+  return [...jobs.values()]
+    .filter(job => job.batchId === batchId)
+    .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+function batchRunning(list) {
+  return list.some(job => job.status === 'processing' || job.status === 'paused');
+}
+
+// Target languages of a job: those it was given, or [null] when its prompt
+// names the target
+function jobLanguages(job) {
+  const languages = job.options.targetLanguages || [];
+  return languages.length > 0 ? languages : [null];
+}
+
+// Output file of a job in `language`: <jobId>_output.<code>.<ext> when it
+// has several languages
+function jobOutputPath(job, language) {
+  return jobLanguages(job).length > 1 ? languageOutputPath(job.outputPath, language) : job.outputPath;
+}
+
+// A finished job's translation into `language` as { name, data }: the
+// translated file, or its bilingual export in `format`
+async function jobDownload(job, language, format) {
+  const several = jobLanguages(job).length > 1;
+  if (format === 'document') {
+    return {
+      name: several ? languageOutputPath(job.downloadName, language) : job.downloadName,
+      data: fs.readFileSync(jobOutputPath(job, language))
+    };
+  }
+  const rows = (await readChunkRows(job.dbPath)).filter(row => row.target_lang === language);
+  const name = `translated.${EXPORT_FORMATS[format]}`;
+  return {
+    name: several ? languageOutputPath(name, language) : name,
+    data: buildExport(pairsFromRows(rows, { segments: job.format !== 'text' }), format, {
+      sourceLang: sourceLanguageFromPrompt(job.prompt),
+      targetLang: language || targetLanguageFromPrompt(job.prompt),
+      fileName: job.fileName
+    })
+  };
+}
+
+// Name of a batch file's output in the batch zip
+function batchOutputName(job, language, format) {
+  const name = job.relativePath + (format === 'document' ? '' : `.${EXPORT_FORMATS[format]}`);
+  return jobLanguages(job).length > 1 ? `${languageSlug(language)}/${name}` : name;
+}
+
+// Manifest of a batch (the CLI's directory manifest, see lib/batch.js):
+// each file's status, chunk counts, tokens and error, and for files
+// translated into several languages their outputs and status per language.
+// Output names are those in the zip of the export `format`.
+function batchManifest(batchId, list, format = 'document') {
+  const files = list.map(job => {
+    const chunks = {
+      total: job.total,
+      success: job.completed - job.needsReview,
+      needsReview: job.needsReview,
+      failure: job.failed,
+      fromMemory: job.reused
+    };
+    const complete = job.status === 'complete';
+    const languages = jobLanguages(job);
+    const outputs = languages.length > 1 ? {
+      outputs: complete ? Object.fromEntries(languages.map(language => [language, batchOutputName(job, language, format)])) : null,
+      languages: Object.fromEntries(Object.entries(job.languages || {}).map(([language, counts]) => [language, {
+        status: complete ? fileStatus({ needsReview: counts.needsReview, failure: counts.failed }) : job.status,
+        chunks: {
+          total: counts.total,
+          success: counts.completed - counts.needsReview,
+          needsReview: counts.needsReview,
+          failure: counts.failed
+        }
+      }]))
+    } : { output: complete ? batchOutputName(job, languages[0], format) : null };
+    return {
+      input: job.relativePath,
+      ...outputs,
+      jobId: job.id,
+      status: complete ? fileStatus(chunks) : job.status,
+      format: job.format,
+      chunks,
+      tokens: { prompt: job.promptTokens, completion: job.completionTokens },
+      cost: estimateCost(job, job.model, PRICES),
+      error: job.error,
+      translatedAt: job.completedAt
+    };
+  });
+  return {
+    version: 1,
+    batchId,
+    model: list[0].model,
+    prompt: list[0].prompt,
+    format,
+    createdAt: list[0].createdAt,
+    updatedAt: new Date().toISOString(),
+    files,
+    totals: manifestTotals(files)
+  };
+}
+
+// Remove finished jobs past their expiry along with their files
+function removeExpiredJobs() {
+  const now = new Date().toISOString();
+  for (const job of jobs.values()) {
+    const expiry = expiresAt(job);
+    if (!expiry || expiry > now) continue;
+
+    const outputs = jobLanguages(job).map(language => jobOutputPath(job, language));
+    for (const file of [job.dbPath, ...outputs, job.inputPath]) {
+      if (file && fs.existsSync(file)) fs.unlinkSync(file);
+    }
+    jobs.delete(job.id);
+  }
+}
+
+// Load the jobs persisted in JOBS_DIR and resume the interrupted ones
+async function restoreJobs() {
+  for (const dbPath of listJobDatabases(JOBS_DIR)) {
+    try {
+      const db = await openJobDatabase(dbPath);
+      const job = await loadJob(db);
+      await closeDatabase(db);
+      if (!job) continue;
+
+      job.dbPath = dbPath;
+      job.events = createJobEvents();
+      jobs.set(job.id, job);
+      if (job.status === 'processing') {
+        console.log(`Resuming job ${job.id} (${job.completed}/${job.total} chunks done)`);
+        startJob(job);
+      }
+    } catch (error) {
+      console.error(`Could not restore job from ${dbPath}: ${error.message}`);
+    }
+  }
+}
+
+restoreJobs().then(() => {
+  removeExpiredJobs();
+  setInterval(removeExpiredJobs, 60 * 60 * 1000).unref();
+});
+
 app.listen(PORT, () => {
   console.log(`Easy Translator running at http://localhost:${PORT}`);
 });
@@ -0,0 +1,167 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  globToRegExp,
+  findInputFiles,
+  outputPathFor,
+  languageOutputPath,
+  statePathFor,
+  fileStatus,
+  manifestTotals,
+  isUpToDate
+} = require('../lib/batch');
+const { createZip, readZip } = require('../lib/zip');
+const { parseLanguages, promptForLanguage } = require('../lib/quality');
+
+describe('globToRegExp', () => {
+  test('keeps * and ? within a directory', () => {
+    const pattern = globToRegExp('*.md');
+    assert.ok(pattern.test('intro.md'));
+    assert.ok(!pattern.test('guide/intro.md'));
+    assert.ok(globToRegExp('chapter-?.txt').test('chapter-1.txt'));
+    assert.ok(!globToRegExp('chapter-?.txt').test('chapter-10.txt'));
+  });
+
+  test('lets ** span any number of directories', () => {
+    const pattern = globToRegExp('**/*.md');
+    for (const name of ['intro.md', 'guide/intro.md', 'guide/advanced/setup.md']) assert.ok(pattern.test(name), name);
+    assert.ok(!pattern.test('guide/intro.md.bak'));
+  });
+
+  test('supports character classes and escapes other characters', () => {
+    assert.ok(globToRegExp('[ab].txt').test('a.txt'));
+    assert.ok(!globToRegExp('[!ab].txt').test('a.txt'));
+    assert.ok(!globToRegExp('a+b.txt').test('aab.txt'));
+  });
+});
+
+describe('findInputFiles', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+    const files = ['a.txt', 'b.md', 'image.png', 'guide/c.srt', 'guide/deep/d.json', '.git/e.txt', 'out/f.txt'];
+    for (const file of files) {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), 'text');
+    }
+  });
+
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('finds translatable files below a directory, skipping hidden ones and the output', () => {
+    const files = findInputFiles(root, { exclude: path.join(root, 'out') });
+    assert.deepStrictEqual(files.map(file => file.relative), ['a.txt', 'b.md', 'guide/c.srt', 'guide/deep/d.json']);
+    assert.strictEqual(files[2].path, path.join(root, 'guide', 'c.srt'));
+  });
+
+  test('matches a glob below its directory part', () => {
+    const files = findInputFiles(`${root}/guide/**/*.json`);
+    assert.deepStrictEqual(files.map(file => file.relative), ['deep/d.json']);
+  });
+
+  test('throws for a missing directory', () => {
+    assert.throws(() => findInputFiles(path.join(root, 'missing')), /Not a directory/);
+  });
+});
+
+describe('manifest', () => {
+  test('places outputs and progress databases under the output directory', () => {
+    assert.strictEqual(outputPathFor('out', 'guide/intro.md'), path.join('out', 'guide', 'intro.md'));
+    assert.strictEqual(outputPathFor('out', 'guide/intro.md', 'xlf'), path.join('out', 'guide', 'intro.md.xlf'));
+    assert.strictEqual(statePathFor('out', 'guide/intro.md'), path.join('out', '.easy-translator', 'guide', 'intro.md.db'));
+  });
+
+  test('counts files by status', () => {
+    const files = [
+      { status: fileStatus({ needsReview: 0, failure: 0 }), chunks: { total: 3 }, tokens: { prompt: 10, completion: 5 } },
+      { status: fileStatus({ needsReview: 1, failure: 0 }), chunks: { total: 2 }, tokens: { prompt: 4, completion: 2 }, skipped: true },
+      { status: fileStatus({ needsReview: 1, failure: 1 }), chunks: { total: 1 } },
+      { status: 'error', error: 'Could not parse' }
+    ];
+    const totals = manifestTotals(files);
+    assert.strictEqual(totals.files, 4);
+    assert.deepStrictEqual([totals.translated, totals.needs_review, totals.failed, totals.error], [1, 1, 1, 1]);
+    assert.deepStrictEqual([totals.skipped, totals.chunks, totals.promptTokens, totals.completionTokens], [1, 6, 14, 7]);
+  });
+
+  test('keeps an output only for the same source and settings', () => {
+    const output = __filename;
+    const run = { sourceHash: 'a', settingsHash: 'b' };
+    assert.ok(isUpToDate({ status: 'translated', ...run }, run, output));
+    assert.ok(!isUpToDate({ status: 'translated', ...run, sourceHash: 'c' }, run, output));
+    assert.ok(!isUpToDate({ status: 'failed', ...run }, run, output));
+    assert.ok(!isUpToDate({ status: 'translated', ...run }, run, `${output}.missing`));
+    assert.ok(!isUpToDate(undefined, run, output));
+  });
+});
+
+describe('several target languages', () => {
+  test('parses a list of languages without duplicates', () => {
+    assert.deepStrictEqual(parseLanguages(' French, german,,fr, Klingon '), ['French', 'german', 'Klingon']);
+    assert.deepStrictEqual(parseLanguages(['Japanese', 'Korean,Japanese']), ['Japanese', 'Korean']);
+    assert.deepStrictEqual(parseLanguages(''), []);
+  });
+
+  test('swaps the target language of a prompt, or appends one', () => {
+    assert.strictEqual(promptForLanguage('Translate this from Spanish to English, formally.', 'German'),
+      'Translate this from Spanish to German, formally.');
+    assert.strictEqual(promptForLanguage('Keep it short. Translate to the point into French.', 'Japanese'),
+      'Keep it short. Translate to the point into Japanese.');
+    assert.strictEqual(promptForLanguage('Translate this text.', 'Klingon'), 'Translate this text.\n\nTranslate into Klingon.');
+  });
+
+  test('names an output per language', () => {
+    assert.strictEqual(languageOutputPath('out/book.txt', 'German'), 'out/book.de.txt');
+    assert.strictEqual(languageOutputPath('out/{lang}/book.txt', 'French'), 'out/fr/book.txt');
+    assert.strictEqual(languageOutputPath('README', 'Klingon'), 'README.klingon');
+    assert.strictEqual(outputPathFor('out', 'guide/intro.md', null, 'Japanese'), path.join('out', 'ja', 'guide', 'intro.md'));
+  });
+
+  test('keeps a file only while every language output exists', () => {
+    const run = { sourceHash: 'a', settingsHash: 'b' };
+    const entry = { status: 'translated', ...run };
+    assert.ok(isUpToDate(entry, run, [__filename, __filename]));
+    assert.ok(!isUpToDate(entry, run, [__filename, `${__filename}.missing`]));
+  });
+
+  test('counts files per language and status', () => {
+    const totals = manifestTotals([
+      { status: 'needs_review', languages: { French: { status: 'translated' }, German: { status: 'needs_review' } } },
+      { status: 'failed', languages: { French: { status: 'translated' }, German: { status: 'failed' } } }
+    ]);
+    assert.deepStrictEqual(totals.languages, {
+      French: { translated: 2, needs_review: 0, failed: 0 },
+      German: { translated: 0, needs_review: 1, failed: 1 }
+    });
+    assert.strictEqual(manifestTotals([{ status: 'translated' }]).languages, undefined);
+  });
+});
+
+describe('zip', () => {
+  test('reads back the files it writes', () => {
+    const entries = [
+      { name: 'guide/intro.md', data: '# Introducción\n\n' + 'Texto repetido. '.repeat(200) },
+      { name: 'empty.txt', data: '' },
+      { name: 'small.txt', data: Buffer.from('ab') }
+    ];
+    const files = readZip(createZip(entries));
+    assert.deepStrictEqual(files.map(file => file.name), entries.map(entry => entry.name));
+    assert.deepStrictEqual(files.map(file => file.data.toString('utf8')), entries.map(entry => entry.data.toString()));
+  });
+
+  test('rejects paths that leave the extraction directory', () => {
+    for (const name of ['../escape.txt', 'docs/../../escape.txt', '/etc/passwd', 'C:/escape.txt']) {
+      assert.throws(() => readZip(createZip([{ name, data: 'x' }])), /Unsafe path/, name);
+    }
+  });
+
+  test('enforces the size limit and rejects other files', () => {
+    const archive = createZip([{ name: 'a.txt', data: 'x'.repeat(1000) }]);
+    assert.throws(() => readZip(archive, { maxSize: 999 }), /exceed/);
+    assert.throws(() => readZip(Buffer.from('not a zip file at all, just some text')), /Not a zip file/);
+  });
+});
@@ -0,0 +1,192 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { splitTextIntoChunks, splitChunk, joinChunks } = require('../lib/chunking');
+const { estimateTokens } = require('../lib/usage');
+
+const sample = (name) => fs.readFileSync(path.join(__dirname, name), 'utf8');
+
+const SENTENCE_END = /[.!?…。！？؟۔।॥]["'”’»)」』）]*$/u;
+
+// Invariants every chunking must keep: the source is rebuilt exactly, no
+// chunk exceeds the size and none starts or ends inside a grapheme cluster
+function assertValidChunks(text, chunks, chunkSize) {
+  assert.strictEqual(chunks.map(c => c.leading + c.text + c.trailing).join(''), text);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= chunkSize, `chunk of ${chunk.text.length} chars exceeds ${chunkSize}`);
+    assert.ok(!/^[\p{M}\uDC00-\uDFFF\u200D]/u.test(chunk.text), `chunk starts inside a grapheme: ${chunk.text.slice(0, 10)}`);
+    assert.ok(!/[\uD800-\uDBFF\u200D]$/.test(chunk.text), `chunk ends inside a grapheme: ${chunk.text.slice(-10)}`);
+  }
+}
+
+// Chunks split within a paragraph (not at a blank line or the end)
+const innerBreaks = (chunks) => chunks.filter(c => !['paragraph', 'end'].includes(c.boundary));
+
+function withoutSegmenter(fn) {
+  const segmenter = Intl.Segmenter;
+  Intl.Segmenter = undefined;
+  try {
+    return fn();
+  } finally {
+    Intl.Segmenter = segmenter;
+  }
+}
+
+describe('splitTextIntoChunks', () => {
+  test('French sample breaks at paragraphs, sentence ends and commas', () => {
+    const text = sample('french_sample.txt');
+    for (const chunkSize of [500, 1000, 4000]) {
+      const chunks = splitTextIntoChunks(text, chunkSize);
+      assertValidChunks(text, chunks, chunkSize);
+      for (const chunk of chunks) {
+        assert.ok(['paragraph', 'sentence', 'comma', 'end'].includes(chunk.boundary), `${chunk.boundary} break at ${chunkSize}`);
+        if (chunk.boundary === 'sentence') assert.match(chunk.text, SENTENCE_END);
+      }
+    }
+  });
+
+  test('French sample gives a single chunk when it fits', () => {
+    const text = sample('french_sample.txt');
+    const chunks = splitTextIntoChunks(text, text.length);
+    assert.strictEqual(chunks.length, 1);
+    assert.strictEqual(chunks[0].boundary, 'end');
+  });
+
+  for (const [file, chunkSize] of [
+    ['chinese_sample.txt', 120],
+    ['japanese_sample.txt', 120],
+    ['arabic_sample.txt', 200],
+    ['hindi_sample.txt', 200]
+  ]) {
+    test(`${file} breaks at its own sentence punctuation`, () => {
+      const text = sample(file);
+      const chunks = splitTextIntoChunks(text, chunkSize);
+      assertValidChunks(text, chunks, chunkSize);
+      const inner = innerBreaks(chunks);
+      assert.ok(inner.length > 0, 'expected breaks inside paragraphs');
+      for (const chunk of inner) {
+        assert.strictEqual(chunk.boundary, 'sentence');
+        assert.match(chunk.text, SENTENCE_END);
+      }
+    });
+
+    test(`${file} breaks at sentence punctuation without Intl.Segmenter`, () => {
+      const text = sample(file);
+      const chunks = withoutSegmenter(() => splitTextIntoChunks(text, chunkSize));
+      assertValidChunks(text, chunks, chunkSize);
+      for (const chunk of innerBreaks(chunks)) {
+        assert.strictEqual(chunk.boundary, 'sentence');
+        assert.match(chunk.text, SENTENCE_END);
+      }
+    });
+  }
+
+  test('Thai (no punctuation or spaces) breaks between words', () => {
+    const text = sample('thai_sample.txt');
+    const chunks = splitTextIntoChunks(text, 150);
+    assertValidChunks(text, chunks, 150);
+    const inner = innerBreaks(chunks);
+    assert.ok(inner.length > 0);
+    for (const chunk of inner) assert.strictEqual(chunk.boundary, 'word');
+    // "หมู่บ้าน" (village) is never cut in half
+    assert.ok(!chunks.some(c => c.text.endsWith('หมู่') && c.trailing === ''));
+  });
+
+  test('Thai without Intl.Segmenter still cuts between graphemes', () => {
+    const text = sample('thai_sample.txt');
+    const chunks = withoutSegmenter(() => splitTextIntoChunks(text, 150));
+    assertValidChunks(text, chunks, 150);
+  });
+
+  test('Chinese without sentence punctuation falls back to clause marks, then words', () => {
+    const clauses = '我们今天去公园散步，天气很好，'.repeat(10);
+    const chunks = splitTextIntoChunks(clauses, 40);
+    assertValidChunks(clauses, chunks, 40);
+    for (const chunk of innerBreaks(chunks)) {
+      assert.strictEqual(chunk.boundary, 'comma');
+      assert.ok(chunk.text.endsWith('，'));
+    }
+
+    const words = '中华人民共和国成立于一九四九年'.repeat(10);
+    const wordChunks = splitTextIntoChunks(words, 40);
+    assertValidChunks(words, wordChunks, 40);
+    for (const chunk of innerBreaks(wordChunks)) assert.strictEqual(chunk.boundary, 'word');
+  });
+
+  test('hard cuts never split surrogate pairs, combining marks or emoji sequences', () => {
+    const texts = [
+      '😀'.repeat(200),
+      '\u{1F469}\u200D\u{1F469}\u200D\u{1F467}\u200D\u{1F466}'.repeat(60),
+      'e\u0301'.repeat(300),
+      '\u{1F44D}\u{1F3FD}'.repeat(120),
+      '𠀀𠀁𠀂'.repeat(80)
+    ];
+    for (const text of texts) {
+      for (const chunkSize of [12, 50, 101]) {
+        assertValidChunks(text, splitTextIntoChunks(text, chunkSize), chunkSize);
+        assertValidChunks(text, withoutSegmenter(() => splitTextIntoChunks(text, chunkSize)), chunkSize);
+      }
+    }
+  });
+
+  test('closing quotes stay with the sentence they end', () => {
+    const text = 'The guard raised his hand and said "Stop." Then he left the room quietly.';
+    const chunks = splitTextIntoChunks(text, 60);
+    assert.strictEqual(chunks[0].text, 'The guard raised his hand and said "Stop."');
+    assert.strictEqual(chunks[0].boundary, 'sentence');
+  });
+
+  test('line breaks without punctuation are not sentence ends', () => {
+    const text = 'a wrapped line of text that goes on\nand on without any end in sight\nuntil it finally stops. Then more text follows here.';
+    const chunks = splitTextIntoChunks(text, 100);
+    assert.strictEqual(chunks[0].text, 'a wrapped line of text that goes on\nand on without any end in sight\nuntil it finally stops.');
+  });
+});
+
+describe('token mode', () => {
+  test('chunks stay within the token budget', () => {
+    for (const file of ['french_sample.txt', 'chinese_sample.txt', 'thai_sample.txt', 'hindi_sample.txt']) {
+      const text = sample(file);
+      const chunks = splitTextIntoChunks(text, 60, { tokens: true });
+      assertValidChunks(text, chunks, text.length);
+      assert.ok(chunks.length > 1);
+      for (const chunk of chunks) assert.ok(estimateTokens(chunk.text) <= 60, `${file}: ${estimateTokens(chunk.text)} tokens`);
+    }
+  });
+
+  test('scripts with more tokens per character get shorter chunks', () => {
+    const french = splitTextIntoChunks(sample('french_sample.txt'), 100, { tokens: true });
+    const chinese = splitTextIntoChunks(sample('chinese_sample.txt'), 100, { tokens: true });
+    const longest = (chunks) => Math.max(...chunks.map(c => c.text.length));
+    assert.ok(longest(chinese) < longest(french));
+  });
+});
+
+describe('splitChunk', () => {
+  test('splits a chunk in smaller pieces that rebuild it', () => {
+    const text = sample('french_sample.txt').trim();
+    const pieces = splitChunk(text);
+    assert.ok(pieces.length >= 2);
+    assert.strictEqual(pieces.map(p => p.leading + p.text + p.trailing).join(''), text);
+    for (const piece of pieces) assert.ok(piece.text.length <= Math.ceil(text.length / 2));
+  });
+
+  test('returns null for a single character', () => {
+    assert.strictEqual(splitChunk('a'), null);
+    assert.strictEqual(splitChunk('😀'), null);
+  });
+});
+
+describe('joinChunks', () => {
+  test('puts translations back in the source whitespace', () => {
+    const text = sample('chinese_sample.txt');
+    const chunks = splitTextIntoChunks(text, 120);
+    assert.strictEqual(joinChunks(chunks.map(c => ({ ...c, translated: c.text }))), text);
+  });
+
+  test('separates chunks without stored whitespace by a blank line', () => {
+    const chunks = [{ translated: ' one ', leading: null, trailing: null }, { translated: 'two', leading: null, trailing: null }];
+    assert.strictEqual(joinChunks(chunks), 'one\n\ntwo');
+  });
+});
@@ -0,0 +1,45 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { extractDocument } = require('../lib/formats');
+
+// Translate every segment by upper-casing it, as the mock provider does
+function upperCased(doc) {
+  return doc.rebuild(new Map(doc.segments.map(segment => [segment.id, segment.text.toUpperCase()])));
+}
+
+describe('JSON', () => {
+  const text = JSON.stringify({
+    id: 'x1',
+    userId: 'u_42',
+    slug: 'hello-world',
+    title: 'Hello world',
+    valid: 'Yes',
+    items: [{ sku: 'AB-12', label: 'Save', version: 'v2.0', link: 'https://example.com' }]
+  }, null, 2);
+
+  test('keeps id-like values untranslated without a key allowlist', () => {
+    const output = JSON.parse(upperCased(extractDocument('json', text)));
+    assert.deepStrictEqual(output, {
+      id: 'x1',
+      userId: 'u_42',
+      slug: 'hello-world',
+      title: 'HELLO WORLD',
+      valid: 'YES',
+      items: [{ sku: 'AB-12', label: 'SAVE', version: 'v2.0', link: 'https://example.com' }]
+    });
+  });
+
+  test('translates only the given keys, id-like or not', () => {
+    const output = JSON.parse(upperCased(extractDocument('json', text, { keys: ['id', 'label'] })));
+    assert.strictEqual(output.id, 'X1');
+    assert.strictEqual(output.items[0].label, 'SAVE');
+    assert.strictEqual(output.title, 'Hello world');
+  });
+});
+
+describe('HTML', () => {
+  test('keeps character references in text', () => {
+    const output = upperCased(extractDocument('html', '<p>Tom &amp; Jerry &mdash; caf&#233;</p>'));
+    assert.strictEqual(output, '<p>TOM &amp; JERRY &mdash; CAF&#233;</p>');
+  });
+});
@@ -0,0 +1,99 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildProject, parseProject, projectTargets, projectChunks, projectRun } = require('../lib/project');
+const { initializeDatabase, storeChunksInDatabase } = require('../lib/database');
+const { contentHash, describeChanges } = require('../lib/resume');
+const { splitTextIntoChunks } = require('../lib/chunking');
+
+const text = fs.readFileSync(path.join(__dirname, 'french_sample.txt'), 'utf8');
+const chunks = splitTextIntoChunks(text, 500);
+const settings = {
+  sourceLang: 'French', targetLang: ['English', 'German'], format: 'text', chunkSize: 500, chunkUnit: 'chars',
+  keys: null, columns: null, maxLineLength: null
+};
+const run = { sourceHash: contentHash(text), settings };
+
+// Progress database rows of `chunks` in English and German: the first
+// chunks translated, one failed, the rest pending
+function databaseRows() {
+  return chunks.flatMap((chunk, i) => ['English', 'German'].map(target => ({
+    sequence_number: i,
+    target_lang: target,
+    source_text: chunk.text,
+    leading_whitespace: chunk.leading,
+    trailing_whitespace: chunk.trailing,
+    boundary: chunk.boundary,
+    status: i < 2 ? 'success' : i === 2 ? 'failure' : 'pending',
+    translated_text: i < 2 ? `${target}: ${chunk.text}` : null,
+    error_message: i === 2 ? 'Rate limited' : null,
+    quality_issues: null,
+    glossary_violations: i === 0 ? JSON.stringify([{ source: 'Paris', target: 'Paris' }]) : null,
+    from_memory: 0,
+    attempts: i <= 2 ? 1 : 0,
+    prompt_tokens: i < 2 ? 100 : 0,
+    completion_tokens: i < 2 ? 90 : 0
+  })));
+}
+
+function allRows(db) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM translations ORDER BY sequence_number, id', (err, rows) => err ? reject(err) : resolve(rows));
+  });
+}
+
+describe('project files', () => {
+  test('carry the source, settings and every chunk of a progress database', () => {
+    const project = parseProject(JSON.stringify(buildProject({ fileName: 'book.txt', source: text, run, rows: databaseRows() })));
+    assert.deepStrictEqual(project.targets, ['English', 'German']);
+    assert.strictEqual(project.chunks.length, chunks.length * 2);
+    assert.deepStrictEqual([project.sourceLang, project.chunkSize, project.chunkUnit], ['French', 500, 'chars']);
+    assert.deepStrictEqual(project.chunks[0].glossaryViolations, [{ source: 'Paris', target: 'Paris' }]);
+    assert.deepStrictEqual([project.chunks[4].status, project.chunks[4].error], ['failure', 'Rate limited']);
+    // The recorded run comes back unchanged
+    assert.deepStrictEqual(describeChanges(run, projectRun(project, project.targets)), []);
+  });
+
+  test('rebuild the stored rows when imported into a database', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-test-'));
+    const db = await initializeDatabase(path.join(dir, 'book.db'));
+    try {
+      const project = buildProject({ fileName: 'book.txt', source: text, run, rows: databaseRows() });
+      await storeChunksInDatabase(db, projectChunks(project), 'French', project.targets, 500);
+      const rows = await allRows(db);
+      const fields = ['sequence_number', 'target_lang', 'source_text', 'status', 'translated_text', 'error_message',
+        'leading_whitespace', 'trailing_whitespace', 'glossary_violations', 'attempts', 'prompt_tokens'];
+      const pick = (row) => Object.fromEntries(fields.map(field => [field, row[field]]));
+      assert.deepStrictEqual(rows.map(pick), databaseRows().map(pick));
+    } finally {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('keep browser edits as translations and name a missing target', () => {
+    const project = {
+      format: 'easy-translator-project',
+      version: 1,
+      source: 'Bonjour.',
+      targets: [null],
+      chunks: [{ index: 0, target: null, source: 'Bonjour.', status: 'edited', translated: 'Hello!' }]
+    };
+    assert.throws(() => projectTargets(project), /--to/);
+    assert.deepStrictEqual(projectTargets(project, 'English'), ['English']);
+    const [chunk] = projectChunks(project, 'English');
+    assert.deepStrictEqual([chunk.targets.English.previous.status, chunk.targets.English.previous.translated_text], ['success', 'Hello!']);
+  });
+
+  test('reject other files and incomplete projects', () => {
+    const project = buildProject({ fileName: 'book.txt', source: text, run, rows: databaseRows() });
+    assert.throws(() => parseProject('{"format": "something-else"}'), /Not an Easy Translator project/);
+    assert.throws(() => parseProject('not json'), /Not a project file/);
+    assert.throws(() => parseProject(JSON.stringify({ ...project, version: 99 })), /version 99/);
+    assert.throws(() => parseProject(JSON.stringify({ ...project, chunks: project.chunks.slice(1) })), /missing chunks/);
+    const unknownStatus = project.chunks.map((chunk, i) => i === 0 ? { ...chunk, status: 'done' } : chunk);
+    assert.throws(() => parseProject(JSON.stringify({ ...project, chunks: unknownStatus })), /Invalid chunk/);
+  });
+});
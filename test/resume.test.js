@@ -0,0 +1,88 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { contentHash, describeChanges, translationsReusable, matchChunks } = require('../lib/resume');
+const { splitTextIntoChunks } = require('../lib/chunking');
+const { batchSegments, encodeBatch } = require('../lib/segments');
+
+const text = fs.readFileSync(path.join(__dirname, 'french_sample.txt'), 'utf8');
+const settings = { sourceLang: 'French', targetLang: 'English', format: 'text', chunkSize: 500, chunkUnit: 'chars' };
+
+// Stored translations of `chunks`, as translateFile passes them to matchChunks
+const translate = (source) => source.toUpperCase();
+const stored = (chunks) => chunks.map((chunk, i) => ({
+  source: chunk.text,
+  translated: translate(chunk.text),
+  clean: true,
+  record: { sequence_number: i }
+}));
+
+describe('describeChanges', () => {
+  test('reports nothing for the same input and settings', () => {
+    const run = { sourceHash: contentHash(text), settings };
+    assert.deepStrictEqual(describeChanges(run, { ...run, settings: { ...settings } }), []);
+  });
+
+  test('names the source text and each changed setting', () => {
+    const previous = { sourceHash: contentHash(text), settings };
+    const current = { sourceHash: contentHash(text + 'x'), settings: { ...settings, targetLang: 'German', chunkSize: 1000 } };
+    assert.deepStrictEqual(describeChanges(previous, current), [
+      'source text',
+      'target language (English -> German)',
+      'chunk size (500 -> 1000)'
+    ]);
+    // Translations are stored per target language; another source language voids them
+    assert.strictEqual(translationsReusable(previous, current), true);
+    assert.strictEqual(translationsReusable(previous, { ...current, settings: { ...settings, sourceLang: 'Spanish' } }), false);
+  });
+
+  test('skips settings an older run did not record', () => {
+    const previous = { sourceHash: null, settings: { sourceLang: 'French', targetLang: 'English', chunkSize: 500 } };
+    assert.deepStrictEqual(describeChanges(previous, { sourceHash: contentHash(text), settings }), []);
+  });
+});
+
+describe('matchChunks', () => {
+  test('keeps unchanged chunks after a paragraph is edited', () => {
+    const before = splitTextIntoChunks(text, 500);
+    const edited = text.replace(before[1].text, before[1].text.replace(/\.$/, ' !'));
+    const after = matchChunks(splitTextIntoChunks(edited, 500), stored(before));
+
+    const changed = after.filter(chunk => !chunk.previous);
+    assert.ok(changed.length >= 1 && changed.length < after.length);
+    for (const chunk of after.filter(chunk => chunk.previous)) {
+      assert.strictEqual(before[chunk.previous.sequence_number].text, chunk.text);
+    }
+  });
+
+  test('re-keys the translations of segments moved to other batches', () => {
+    const segments = Array.from({ length: 20 }, (_, i) => ({ id: String(i + 1), text: `Segment number ${i} of the document.` }));
+    const batches = batchSegments(segments, 200).map(batch => ({ text: encodeBatch(batch) }));
+    const previous = batches.map((batch, i) => ({
+      source: batch.text,
+      translated: JSON.stringify(Object.fromEntries(Object.entries(JSON.parse(batch.text)).map(([id, value]) => [id, translate(value)]))),
+      clean: true,
+      record: { sequence_number: i }
+    }));
+
+    // A new segment at the start shifts every id and batch boundary
+    const inserted = [{ text: 'A new first segment.' }, ...segments].map((segment, i) => ({ id: String(i + 1), text: segment.text }));
+    const after = matchChunks(batchSegments(inserted, 200).map(batch => ({ text: encodeBatch(batch) })), previous, { segments: true });
+
+    assert.ok(!after[0].translated && !after[0].previous);
+    for (const chunk of after.slice(1)) {
+      const source = JSON.parse(chunk.text);
+      const translated = JSON.parse(chunk.translated);
+      assert.deepStrictEqual(Object.keys(translated), Object.keys(source));
+      for (const id of Object.keys(source)) assert.strictEqual(translated[id], translate(source[id]));
+    }
+  });
+
+  test('does not reuse segments of chunks that need review', () => {
+    const batch = encodeBatch([{ id: '1', text: 'One.' }, { id: '2', text: 'Two.' }]);
+    const previous = [{ source: batch, translated: '{"1":"ONE.","2":"TWO."}', clean: false, record: {} }];
+    const after = matchChunks([{ text: encodeBatch([{ id: '1', text: 'Two.' }]) }], previous, { segments: true });
+    assert.strictEqual(after[0].translated, undefined);
+  });
+});
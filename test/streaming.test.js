@@ -0,0 +1,82 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const { splitTextIntoChunks, streamTextChunks } = require('../lib/chunking');
+const { createOrderedWriter } = require('../lib/streaming');
+
+const sample = (name) => fs.readFileSync(path.join(__dirname, name), 'utf8');
+
+// A stream of the UTF-8 bytes of `text` in pieces of `size` bytes, so
+// multibyte characters are split across pieces
+function byteStream(text, size) {
+  const bytes = Buffer.from(text, 'utf8');
+  const pieces = [];
+  for (let i = 0; i < bytes.length; i += size) pieces.push(bytes.subarray(i, i + size));
+  return Readable.from(pieces);
+}
+
+async function collect(chunks) {
+  const collected = [];
+  for await (const chunk of chunks) collected.push(chunk);
+  return collected;
+}
+
+describe('streamTextChunks', () => {
+  for (const [file, chunkSize] of [
+    ['french_sample.txt', 500],
+    ['chinese_sample.txt', 120],
+    ['thai_sample.txt', 150],
+    ['hindi_sample.txt', 200]
+  ]) {
+    test(`${file} gives the same chunks as splitTextIntoChunks`, async () => {
+      const text = sample(file);
+      for (const size of [7, 1000]) {
+        const chunks = await collect(streamTextChunks(byteStream(text, size), chunkSize));
+        assert.deepStrictEqual(chunks, splitTextIntoChunks(text, chunkSize), `${size}-byte pieces`);
+      }
+    });
+  }
+
+  test('gives the same chunks in token mode', async () => {
+    const text = sample('japanese_sample.txt');
+    const chunks = await collect(streamTextChunks(byteStream(text, 5), 60, { tokens: true }));
+    assert.deepStrictEqual(chunks, splitTextIntoChunks(text, 60, { tokens: true }));
+  });
+
+  test('yields chunks before the stream ends', async () => {
+    const input = new PassThrough();
+    const chunks = streamTextChunks(input, 200);
+    input.write(sample('french_sample.txt').repeat(3));
+    const first = await chunks.next();
+    assert.strictEqual(first.done, false);
+    input.end();
+    await collect(chunks);
+  });
+
+  test('gives no chunks for an empty or blank stream', async () => {
+    assert.deepStrictEqual(await collect(streamTextChunks(Readable.from([]))), splitTextIntoChunks(''));
+    assert.deepStrictEqual(await collect(streamTextChunks(byteStream(' \n\n ', 1))), splitTextIntoChunks(' \n\n '));
+  });
+});
+
+describe('createOrderedWriter', () => {
+  test('writes chunks in order as soon as the ones before them are done', async () => {
+    const output = new PassThrough();
+    let written = '';
+    output.on('data', (data) => { written += data; });
+    const writer = createOrderedWriter(output);
+    const chunk = (translated) => ({ translated, leading: '', trailing: '\n' });
+
+    await writer.add(1, chunk('two'));
+    assert.strictEqual(written, '');
+    assert.deepStrictEqual([writer.written, writer.waiting], [0, 1]);
+
+    await writer.add(0, chunk('one'));
+    assert.strictEqual(written, 'one\ntwo\n');
+    await writer.add(2, chunk('three'));
+    assert.strictEqual(written, 'one\ntwo\nthree\n');
+    assert.deepStrictEqual([writer.written, writer.waiting], [3, 0]);
+  });
+});
@@ -0,0 +1,41 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildTmx, parseTmx, languageTag } = require('../lib/tmx');
+const { openMemory, saveToMemory, lookupMemory, exportMemory, importMemory } = require('../lib/memory');
+
+describe('TMX', () => {
+  test('tags languages with BCP 47 codes and leaves unknown ones out', () => {
+    assert.deepStrictEqual(['French', 'fr', 'pt-BR', 'auto', null, 'Klingon'].map(languageTag), ['fr', 'fr', 'pt-BR', null, null, null]);
+    const xml = buildTmx([{ source: 'Bonjour', target: 'Hello', sourceLang: null, targetLang: 'en' }]);
+    assert.match(xml, /srclang="\*all\*"/);
+    assert.match(xml, /<tuv><seg>Bonjour<\/seg><\/tuv>/);
+    assert.doesNotMatch(xml, /"(?:null|auto)"/);
+    const [unit] = parseTmx(xml);
+    assert.deepStrictEqual([unit.sourceLang, unit.targetLang], [null, 'en']);
+  });
+
+  test('round-trips memory entries with the same keys', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmx-test-'));
+    const entries = [
+      { sourceText: 'Bonjour', sourceLang: 'French', targetLang: 'English', model: 'm', prompt: 'p' },
+      { sourceText: 'Salut', sourceLang: null, targetLang: 'German', model: 'm', prompt: 'p', instructions: 'Always translate these terms exactly as given:\n- "Salut" -> "Hallo"' },
+      { sourceText: 'Hola', sourceLang: 'auto', targetLang: 'Klingon', model: 'm', prompt: 'p' }
+    ];
+    const source = await openMemory(path.join(dir, 'source.db'));
+    const target = await openMemory(path.join(dir, 'target.db'));
+    try {
+      for (const entry of entries) await saveToMemory(source, entry, `${entry.sourceText}!`);
+      await importMemory(target, parseTmx(buildTmx(await exportMemory(source))));
+      for (const entry of entries) assert.strictEqual(await lookupMemory(target, entry), `${entry.sourceText}!`);
+      // Other instructions are another key
+      assert.strictEqual(await lookupMemory(target, { ...entries[1], instructions: null }), null);
+    } finally {
+      source.close();
+      target.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
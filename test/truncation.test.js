@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { truncatedError, isTruncated, translateWithSplits, MAX_SPLIT_DEPTH } = require('../lib/truncation');
+const { encodeBatch, parseBatch } = require('../lib/segments');
+const { chunkTokenBudget, expansionRatio } = require('../lib/usage');
+
+const text = fs.readFileSync(path.join(__dirname, 'french_sample.txt'), 'utf8').trim();
+
+// Fake model whose replies are cut off for sources over `limit` characters
+function modelWithLimit(limit, calls = []) {
+  return async (source) => {
+    calls.push(source);
+    if (source.length > limit) throw truncatedError('Chunk');
+    return source.toUpperCase();
+  };
+}
+
+describe('translateWithSplits', () => {
+  test('returns the reply when it is not cut off', async () => {
+    const calls = [];
+    assert.strictEqual(await translateWithSplits(text, modelWithLimit(Infinity, calls)), text.toUpperCase());
+    assert.strictEqual(calls.length, 1);
+  });
+
+  test('translates a cut-off chunk in pieces and keeps its whitespace', async () => {
+    const splits = [];
+    const result = await translateWithSplits(text, modelWithLimit(text.length / 3), { onSplit: (n) => splits.push(n) });
+    assert.strictEqual(result, text.toUpperCase());
+    assert.ok(splits.length > 0);
+  });
+
+  test('splits a JSON batch between its segments', async () => {
+    const batch = encodeBatch([{ id: '1', text: 'one' }, { id: '2', text: 'two' }, { id: '3', text: 'three' }]);
+    const translate = async (source) => {
+      if (parseBatch(source).length > 1) throw truncatedError('Batch');
+      return JSON.stringify(Object.fromEntries(parseBatch(source).map(s => [s.id, s.text.toUpperCase()])));
+    };
+    const result = JSON.parse(await translateWithSplits(batch, translate, { segments: true }));
+    assert.deepStrictEqual(result, { 1: 'ONE', 2: 'TWO', 3: 'THREE' });
+  });
+
+  test(`gives up after ${MAX_SPLIT_DEPTH} splits`, async () => {
+    await assert.rejects(translateWithSplits(text, modelWithLimit(1)), (error) => isTruncated(error));
+  });
+
+  test('passes other errors through without splitting', async () => {
+    const calls = [];
+    const translate = async (source) => {
+      calls.push(source);
+      throw new Error('Rate limited');
+    };
+    await assert.rejects(translateWithSplits(text, translate), /Rate limited/);
+    assert.strictEqual(calls.length, 1);
+  });
+});
+
+describe('chunkTokenBudget', () => {
+  test('leaves room for the expected expansion of the target language', () => {
+    const toEnglish = chunkTokenBudget('gpt-4o', { expansion: expansionRatio('fr', 'en') });
+    const toJapanese = chunkTokenBudget('gpt-4o', { expansion: expansionRatio('fr', 'ja') });
+    assert.ok(toJapanese < toEnglish);
+    assert.ok(toJapanese * expansionRatio('fr', 'ja') <= 16384);
+  });
+
+  test('fits the prompt and reply in the context window of small models', () => {
+    const budget = chunkTokenBudget('unknown-model', { expansion: 1, promptTokens: 1000 });
+    assert.ok(budget * 2 + 1000 <= 8192);
+  });
+});
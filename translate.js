@@ -1,330 +1,762 @@
 #!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
-const { OpenAI } = require('openai');
-const sqlite3 = require('sqlite3').verbose();
+const { parseArgs } = require('util');
+const {
+  loadGlossary,
+  findTermsInText,
+  buildGlossaryInstruction,
+  findGlossaryViolations
+} = require('./lib/glossary');
+const {
+  DEFAULT_MEMORY_PATH,
+  openMemory,
+  lookupMemory,
+  saveToMemory,
+  exportMemory,
+  importMemory,
+  unitLanguages
+} = require('./lib/memory');
+const { buildTmx, parseTmx } = require('./lib/tmx');
+const { EXPORT_FORMATS, pairsFromRows, buildExport } = require('./lib/export');
+const { initializeDatabase, readMetadata, writeMetadata, storeChunksInDatabase, readTranslations } = require('./lib/database');
+const { contentHash, describeChanges, translationsReusable, matchChunks } = require('./lib/resume');
+const { buildProject, parseProject, projectTargets, projectChunks, projectRun } = require('./lib/project');
+const { splitTextIntoChunks, streamTextChunks, joinChunk } = require('./lib/chunking');
+const { openOutput, writeText, closeOutput, createOrderedWriter } = require('./lib/streaming');
+const { withRetry } = require('./lib/retry');
+const {
+  createRateLimiter,
+  estimateRequestTokens,
+  createThroughputMeter,
+  formatThroughput
+} = require('./lib/ratelimit');
+const { runPool, createSlots } = require('./lib/pool');
+const { checkTranslation, buildStrictInstruction, languageCode, detectLanguage, parseLanguages } = require('./lib/quality');
+const { alignChunk } = require('./lib/alignment');
+const {
+  loadPrices,
+  estimateCost,
+  estimateRun,
+  formatCost,
+  estimateTokens,
+  expansionRatio,
+  chunkTokenBudget
+} = require('./lib/usage');
+const { truncatedError, translateWithSplits } = require('./lib/truncation');
+const { PROVIDERS, createProvider } = require('./lib/providers');
+const { detectFormat, extractDocument, FORMAT_NAMES, FORMATS } = require('./lib/formats');
+const {
+  MANIFEST_FILE,
+  isGlob,
+  findInputFiles,
+  outputPathFor,
+  languageOutputPath,
+  statePathFor,
+  fileStatus,
+  manifestTotals,
+  readManifest,
+  writeManifest,
+  isUpToDate
+} = require('./lib/batch');
+const {
+  batchSegments,
+  encodeBatch,
+  translateBatch,
+  buildSegmentInstruction
+} = require('./lib/segments');
 require('dotenv').config();
 
-// Initialize the OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Default configuration
 const CONFIG = {
   model: process.env.OPENAI_MODEL || 'gpt-4-turbo',
   chunkSize: parseInt(process.env.CHUNK_SIZE) || 4000,
+  // Token mode: chunk size in estimated tokens, or 'auto' for the model's limit
+  chunkTokens: process.env.CHUNK_TOKENS === 'auto' ? 'auto' : parseInt(process.env.CHUNK_TOKENS) || null,
   maxConcurrent: parseInt(process.env.MAX_CONCURRENT) || 5,
   temperature: parseFloat(process.env.TEMPERATURE) || 0.3,
+  memoryPath: process.env.TRANSLATION_MEMORY || DEFAULT_MEMORY_PATH,
+  contextChars: parseInt(process.env.CONTEXT_CHARS) || 800,
+  maxAttempts: parseInt(process.env.MAX_ATTEMPTS) || 5,
+  pricesPath: process.env.PRICES_FILE || null,
+  provider: process.env.PROVIDER || 'chat',
+  baseUrl: process.env.OPENAI_BASE_URL || null,
+  authHeader: process.env.AUTH_HEADER || null,
+  requestsPerMinute: parseInt(process.env.RATE_LIMIT_RPM) || 0,
+  tokensPerMinute: parseInt(process.env.RATE_LIMIT_TPM) || 0,
+  qualityRetries: process.env.QUALITY_RETRIES !== undefined ? parseInt(process.env.QUALITY_RETRIES) || 0 : 1,
+  languageCheck: true,
 };
 
+// Chunks a stream may read ahead of its output, per concurrent request
+const STREAM_READ_AHEAD = 4;
+
+// The provider is created on first use so --help, --dry-run and the TMX
+// commands work without an API key, and so CLI flags can change CONFIG first
+let provider = null;
+function getProvider() {
+  if (!provider) {
+    provider = createProvider({
+      provider: CONFIG.provider,
+      baseUrl: CONFIG.baseUrl,
+      apiKey: process.env.OPENAI_API_KEY,
+      authHeader: CONFIG.authHeader
+    });
+  }
+  return provider;
+}
+
+// One limiter for every request of the process (the API's limits are per key)
+let rateLimiter = null;
+function getRateLimiter() {
+  if (!rateLimiter) {
+    rateLimiter = createRateLimiter({
+      requestsPerMinute: CONFIG.requestsPerMinute,
+      tokensPerMinute: CONFIG.tokensPerMinute
+    });
+  }
+  return rateLimiter;
+}
+
 /**
- * Initialize the SQLite database
+ * "500 requests/min, 30,000 tokens/min" (0 = no limit of that kind)
  */
-function initializeDatabase(dbPath) {
-  return new Promise((resolve, reject) => {
-    const db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+function describeRateLimit({ requestsPerMinute, tokensPerMinute }) {
+  if (!requestsPerMinute && !tokensPerMinute) return 'none (adjusts to the API\'s rate limit headers)';
+  return [
+    requestsPerMinute ? `${requestsPerMinute.toLocaleString()} requests/min` : null,
+    tokensPerMinute ? `${tokensPerMinute.toLocaleString()} tokens/min` : null
+  ].filter(Boolean).join(', ');
+}
 
-      db.run(`
-        CREATE TABLE IF NOT EXISTS translations (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          sequence_number INTEGER NOT NULL,
-          source_text TEXT NOT NULL,
-          translated_text TEXT,
-          source_lang TEXT,
-          target_lang TEXT,
-          status TEXT DEFAULT 'pending',
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          error_message TEXT,
-          chunk_size INTEGER
-        )
-      `, (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve(db);
-      });
-    });
-  });
+/**
+ * Base system prompt for a language pair (also the translation memory prompt key)
+ */
+function buildSystemPrompt(sourceLang, targetLang) {
+  const langInstruction = sourceLang === 'auto'
+    ? `Translate the following text to ${targetLang}`
+    : `Translate the following ${sourceLang} text to ${targetLang}`;
+
+  return `You are a professional translator. ${langInstruction}. Preserve the original meaning, tone, and formatting. Maintain paragraph breaks. Only output the translation, no explanations.`;
 }
 
 /**
- * Smart chunking - finds best break points in priority order:
- * 1. Paragraph breaks (double newline)
- * 2. Sentence endings (. ! ?)
- * 3. Commas
- * 4. Spaces
+ * Read-only context block: the end of the previous chunk, its accepted
+ * translation (when available) and the running notes
  */
-function splitTextIntoChunks(text, chunkSize = 4000) {
-  const chunks = [];
-  let startPos = 0;
+function buildContextInstruction(context) {
+  if (!context) return '';
 
-  while (startPos < text.length) {
-    // If remaining text fits in one chunk, take it all
-    if (startPos + chunkSize >= text.length) {
-      chunks.push(text.substring(startPos));
-      break;
-    }
+  const parts = ['Context from the preceding text, for consistent names, terminology, register and pronouns. It is read-only: do not translate it again and do not include it in your output.'];
+  if (context.notes) {
+    parts.push(`Translator's notes so far:\n${context.notes}`);
+  }
+  if (context.previousSource) {
+    parts.push(`End of the previous source passage:\n"""\n${context.previousSource}\n"""`);
+  }
+  if (context.previousTranslation) {
+    parts.push(`Its accepted translation:\n"""\n${context.previousTranslation}\n"""`);
+  }
+  return parts.join('\n\n');
+}
 
-    const searchStart = startPos + Math.floor(chunkSize * 0.5); // Don't break too early
-    const searchEnd = startPos + chunkSize;
-    const searchRegion = text.substring(searchStart, searchEnd);
+/**
+ * Instructions a chunk's system prompt gets besides the language pair
+ * (segment format, glossary terms, context), for its translation memory key
+ */
+function chunkInstructions({ format = 'text', glossaryTerms = [], context = null }) {
+  return [
+    format !== 'text' ? buildSegmentInstruction(FORMAT_NAMES[format]) : '',
+    buildGlossaryInstruction(glossaryTerms),
+    buildContextInstruction(context)
+  ].filter(Boolean).join('\n\n') || null;
+}
 
-    let breakOffset = -1;
+/**
+ * Last `maxChars` of a text, starting on a word boundary
+ */
+function tailText(text, maxChars) {
+  if (!text || text.length <= maxChars) return text || '';
+  const tail = text.slice(-maxChars);
+  const firstSpace = tail.search(/\s/);
+  return (firstSpace !== -1 && firstSpace < maxChars / 2 ? tail.slice(firstSpace) : tail).trim();
+}
 
-    // Priority 1: Paragraph break (double newline)
-    const paragraphMatch = searchRegion.lastIndexOf('\n\n');
-    if (paragraphMatch !== -1) {
-      breakOffset = paragraphMatch + 2; // After the double newline
+/**
+ * Send { system, input, temperature, json } to the provider with the retry
+ * policy and resolve to the reply text. Every attempt waits for the rate
+ * limiter first. `onAttempt` is called before every request so callers can
+ * count attempts per chunk, and `onUsage` with the
+ * { promptTokens, completionTokens } of the successful reply. A reply cut
+ * off at the output token limit rejects with an OUTPUT_TRUNCATED error
+ * (see lib/truncation.js).
+ */
+async function createCompletion(request, label, { onAttempt = () => {}, onRetry = () => {}, onUsage = () => {} } = {}) {
+  const limiter = getRateLimiter();
+  const estimated = estimateRequestTokens(request.system, request.input);
+
+  const response = await withRetry(async () => {
+    await limiter.acquire(estimated);
+    onAttempt();
+    try {
+      const reply = await getProvider().complete({ model: CONFIG.model, ...request });
+      limiter.update(reply.headers);
+      limiter.settle(estimated, reply.usage);
+      return reply;
+    } catch (error) {
+      limiter.update(error.headers);
+      throw error;
     }
-
-    // Priority 2: Sentence ending (. ! ? followed by space or newline)
-    if (breakOffset === -1) {
-      for (let i = searchRegion.length - 1; i >= 0; i--) {
-        const char = searchRegion[i];
-        const prevChar = i > 0 ? searchRegion[i - 1] : '';
-        if ((prevChar === '.' || prevChar === '!' || prevChar === '?') &&
-            (char === ' ' || char === '\n')) {
-          breakOffset = i;
-          break;
-        }
-      }
+  }, {
+    maxAttempts: CONFIG.maxAttempts,
+    onRetry: (error, attempt, delay) => {
+      console.log(`  ${label}: ${error.status || error.code || error.message}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${CONFIG.maxAttempts})`);
+      onRetry(error, attempt, delay);
     }
+  });
+  onUsage(response.usage);
+  if (response.truncated) throw truncatedError(label);
+  return response.text.trim();
+}
 
-    // Priority 3: Comma followed by space
-    if (breakOffset === -1) {
-      for (let i = searchRegion.length - 1; i >= 0; i--) {
-        if (searchRegion[i] === ' ' && i > 0 && searchRegion[i - 1] === ',') {
-          breakOffset = i;
-          break;
+/**
+ * How log lines name a chunk: "Chunk 3", or "docs/intro.md chunk 3" for a
+ * file of a directory translation, with " -> German" when the file is
+ * translated into several languages (`target`)
+ */
+function chunkName(index, file = null, target = null) {
+  return (file ? `${file} chunk ${index + 1}` : `Chunk ${index + 1}`) + (target ? ` -> ${target}` : '');
+}
+
+/**
+ * chunkName() of a stored row; `targets` are the run's target languages
+ */
+function rowName(row, file = null, targets = []) {
+  return chunkName(row.sequence_number, file, targets.length > 1 ? row.target_lang : null);
+}
+
+/**
+ * Translate a single chunk.
+ *
+ * options: { glossaryTerms, context, instruction, strictInstruction, json, file, target, onAttempt, onUsage } -
+ * `instruction` and `strictInstruction` (for a re-translation after failed
+ * quality checks) are appended to the system prompt and `json` asks for a
+ * JSON object reply. `file` and `target` name the chunk in log lines (see
+ * chunkName). See createCompletion for the callbacks.
+ */
+async function translateChunk(text, chunkIndex, sourceLang, targetLang, options = {}) {
+  console.log(`  Translating ${options.file ? `${options.file} ` : ''}chunk ${chunkIndex + 1}` +
+    `${options.target ? ` -> ${options.target}` : ''} (${text.length} chars)...`);
+
+  const glossaryInstruction = buildGlossaryInstruction(options.glossaryTerms);
+  const contextInstruction = buildContextInstruction(options.context);
+
+  return createCompletion({
+    system: buildSystemPrompt(sourceLang, targetLang) +
+      (options.instruction ? `\n\n${options.instruction}` : '') +
+      (glossaryInstruction ? `\n\n${glossaryInstruction}` : '') +
+      (contextInstruction ? `\n\n${contextInstruction}` : '') +
+      (options.strictInstruction ? `\n\n${options.strictInstruction}` : ''),
+    input: text,
+    temperature: CONFIG.temperature,
+    json: options.json
+  }, chunkName(chunkIndex, options.file, options.target), options);
+}
+
+/**
+ * Translate a stored batch of structured-document segments
+ * (see translateBatch for how missing segments are handled)
+ */
+async function translateSegmentBatch(batchText, chunkIndex, sourceLang, targetLang, options) {
+  const instruction = buildSegmentInstruction(FORMAT_NAMES[options.format]);
+  return translateBatch(
+    batchText,
+    (text) => translateChunk(text, chunkIndex, sourceLang, targetLang, { ...options, instruction, json: true }),
+    (message) => console.log(`  ${chunkName(chunkIndex, options.file, options.target)}: ${message}`)
+  );
+}
+
+/**
+ * Fold a newly translated chunk into the running notes
+ * (characters and their gender, forms of address, recurring terms)
+ */
+async function updateContextNotes(notes, source, translation, targetLang, onUsage) {
+  return createCompletion({
+    system: `You keep concise translator's notes for a translation into ${targetLang}: characters and their gender, how they address each other (formal/informal), and recurring terms with the translation chosen for them. Merge what the new passage establishes into the existing notes. Output only the updated notes, at most 15 short lines.`,
+    input: `Existing notes:\n${notes || '(none)'}\n\nNew source passage:\n${source}\n\nIts translation:\n${translation}`,
+    temperature: 0
+  }, 'Context notes', { onUsage });
+}
+
+/**
+ * Translate one stored chunk (or reuse it from memory) and record the result.
+ * A translation that fails the quality checks is re-translated with a
+ * stricter prompt up to `qualityRetries` times (keeping the attempt with the
+ * fewest issues); if issues remain the chunk is stored as needs_review and
+ * kept out of the translation memory. Without `db` (a streamed input) the
+ * result is only returned.
+ * Resolves to { translation, issues, fromMemory, violations, usage };
+ * translation is null if it failed.
+ */
+async function processRow(db, row, {
+  glossary = [], memoryDb = null, context = null, format = 'text', file = null, targets = [], emit = () => {}, meter = null
+}) {
+  const chunk = row.sequence_number;
+  const targetLang = row.target_lang;
+  const target = targets.length > 1 ? targetLang : null;
+  const name = rowName(row, file, targets);
+  let attempts = 0;
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  const onAttempt = () => attempts++;
+  const onRetry = (error, attempt, delay) => emit('chunk-retry', { chunk, targetLang, attempt, delay, error: error.message });
+  const onUsage = (reply) => {
+    usage.promptTokens += reply.promptTokens;
+    usage.completionTokens += reply.completionTokens;
+  };
+  emit('chunk-start', { chunk, targetLang });
+
+  try {
+    const terms = findTermsInText(glossary, row.source_text);
+    const memoryEntry = {
+      sourceText: row.source_text,
+      sourceLang: row.source_lang,
+      targetLang: row.target_lang,
+      model: CONFIG.model,
+      prompt: buildSystemPrompt(row.source_lang, row.target_lang),
+      instructions: chunkInstructions({ format, glossaryTerms: terms, context })
+    };
+
+    let translation = memoryDb ? await lookupMemory(memoryDb, memoryEntry) : null;
+    const fromMemory = translation !== null;
+    let issues = [];
+
+    if (fromMemory) {
+      console.log(`  ${name}: reused from translation memory`);
+    } else {
+      const translate = format === 'text' ? translateChunk : translateSegmentBatch;
+      // A reply cut off at the output token limit is translated again in pieces
+      const request = (strictInstruction) => translateWithSplits(row.source_text, (text) => translate(
+        text,
+        row.sequence_number,
+        row.source_lang,
+        row.target_lang,
+        { glossaryTerms: terms, context, format, file, target, strictInstruction, onAttempt, onRetry, onUsage }
+      ), {
+        segments: format !== 'text',
+        onSplit: (pieces) => console.log(`  ${name}: reply cut off at the output token limit, translating it in ${pieces} pieces`)
+      });
+      const check = (text) => checkTranslation(row.source_text, text, {
+        sourceLang: row.source_lang,
+        targetLang: row.target_lang,
+        segments: format !== 'text',
+        language: CONFIG.languageCheck
+      });
+
+      translation = await request();
+      issues = check(translation);
+      for (let retry = 1; issues.length > 0 && retry <= CONFIG.qualityRetries; retry++) {
+        const summary = issues.map(issue => issue.message).join('; ');
+        console.log(`  ${name}: ${summary} - re-translating with a stricter prompt`);
+        emit('chunk-retry', { chunk, targetLang, attempt: retry, delay: 0, error: `Quality check: ${summary}` });
+        const retried = await request(buildStrictInstruction(issues, row.source_text, row.target_lang));
+        const retriedIssues = check(retried);
+        if (retriedIssues.length <= issues.length) {
+          translation = retried;
+          issues = retriedIssues;
         }
       }
-    }
 
-    // Priority 4: Any space
-    if (breakOffset === -1) {
-      const lastSpace = searchRegion.lastIndexOf(' ');
-      if (lastSpace !== -1) {
-        breakOffset = lastSpace + 1;
+      if (issues.length > 0) {
+        console.log(`  ${name}: needs review: ${issues.map(issue => issue.message).join('; ')}`);
+      } else if (memoryDb) {
+        await saveToMemory(memoryDb, memoryEntry, translation);
       }
     }
 
-    // Calculate actual break position
-    let breakPos;
-    if (breakOffset !== -1) {
-      breakPos = searchStart + breakOffset;
-    } else {
-      // No good break point found, hard cut at chunk size
-      breakPos = searchEnd;
+    const violations = findGlossaryViolations(terms, translation);
+    if (violations.length > 0) {
+      console.log(`  ${name}: glossary terms missing: ${violations.map(v => v.target).join(', ')}`);
     }
 
-    chunks.push(text.substring(startPos, breakPos));
-    startPos = breakPos;
+    if (db) await new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE translations
+        SET translated_text = ?, status = ?, quality_issues = ?, glossary_violations = ?, from_memory = ?,
+          attempts = attempts + ?, prompt_tokens = prompt_tokens + ?, completion_tokens = completion_tokens + ?,
+          sentence_pairs = NULL, alignment = NULL, error_message = NULL, timestamp = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        translation,
+        issues.length > 0 ? 'needs_review' : 'success',
+        issues.length > 0 ? JSON.stringify(issues) : null,
+        violations.length > 0 ? JSON.stringify(violations) : null,
+        fromMemory ? 1 : 0,
+        attempts,
+        usage.promptTokens,
+        usage.completionTokens,
+        row.id
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    if (meter) meter.record(usage.promptTokens + usage.completionTokens);
+    emit('chunk-success', { chunk, targetLang, translation, fromMemory, glossaryViolations: violations, qualityIssues: issues });
+    return { translation, issues, fromMemory, violations, usage };
+  } catch (error) {
+    console.log(`  ${name}: failed after ${attempts} attempt(s): ${error.message}`);
+    if (db) await new Promise((resolve) => {
+      db.run(`
+        UPDATE translations
+        SET status = 'failure', error_message = ?, attempts = attempts + ?,
+          prompt_tokens = prompt_tokens + ?, completion_tokens = completion_tokens + ?, timestamp = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [error.message || 'Unknown error', attempts, usage.promptTokens, usage.completionTokens, row.id], () => resolve());
+    });
+    if (meter) meter.record(usage.promptTokens + usage.completionTokens);
+    emit('chunk-failure', { chunk, targetLang, error: error.message, attempts });
+
+    return { translation: null, usage };
   }
+}
+
+/**
+ * Independent chunks: up to `maxConcurrent` in flight, the next one starting
+ * as soon as any finishes (pacing is left to the rate limiter)
+ */
+async function processQueue(db, pending, options) {
+  await runPool(pending, row => withSlot(options.slots, () => processRow(db, row, options)), { concurrency: options.maxConcurrent });
+}
 
-  return chunks;
+/**
+ * Run `task` in one of the shared `slots` (see createSlots), or right away
+ * without them
+ */
+function withSlot(slots, task) {
+  return slots ? slots.run(task) : task();
 }
 
 /**
- * Store chunks in the database
+ * Context mode: chunk N is translated with chunk N-1 as context, so the
+ * pending chunks are split into `maxConcurrent` contiguous lanes. Lanes run
+ * in parallel, chunks within a lane run in order. Only the first chunk of a
+ * lane can start before its predecessor is translated; it gets whatever is
+ * available at that point (always the previous source text). `rows` and
+ * `pending` are the chunks of one target language.
  */
-function storeChunksInDatabase(db, chunks, sourceLang, targetLang, chunkSize) {
+async function processWithContext(db, rows, pending, options) {
+  const { maxConcurrent, context, targets = [] } = options;
+  const bySequence = new Map(rows.map(row => [row.sequence_number, row]));
+
+  const laneSize = Math.ceil(pending.length / Math.min(maxConcurrent, pending.length));
+  const lanes = [];
+  for (let i = 0; i < pending.length; i += laneSize) {
+    lanes.push(pending.slice(i, i + laneSize));
+  }
+  if (!options.file) {
+    console.log(`Context mode${targets.length > 1 ? ` (${pending[0].target_lang})` : ''}: ` +
+      `${lanes.length} parallel lane(s) of up to ${laneSize} chunks\n`);
+  }
+
+  await Promise.all(lanes.map(async (lane) => {
+    for (const row of lane) {
+      const previous = bySequence.get(row.sequence_number - 1);
+      const previousDone = previous && (previous.status === 'success' || previous.status === 'needs_review');
+      const chunkContext = previous ? {
+        previousSource: tailText(previous.source_text, context.chars),
+        previousTranslation: previousDone ? tailText(previous.translated_text, context.chars) : '',
+        notes: context.summary && previousDone ? previous.context_notes : null
+      } : null;
+
+      const { translation } = await withSlot(options.slots, () => processRow(db, row, { ...options, context: chunkContext }));
+      if (translation === null) continue;
+
+      row.status = 'success';
+      row.translated_text = translation;
+
+      if (context.summary) {
+        try {
+          let usage = { promptTokens: 0, completionTokens: 0 };
+          row.context_notes = await updateContextNotes(
+            chunkContext && chunkContext.notes, row.source_text, translation, row.target_lang, (reply) => { usage = reply; }
+          );
+          await new Promise((resolve) => {
+            db.run(`
+              UPDATE translations
+              SET context_notes = ?, prompt_tokens = prompt_tokens + ?, completion_tokens = completion_tokens + ?
+              WHERE id = ?
+            `, [row.context_notes, usage.promptTokens, usage.completionTokens, row.id], () => resolve());
+          });
+        } catch (error) {
+          // Carry the old notes forward rather than failing the chunk
+          console.log(`  ${rowName(row, options.file, targets)}: could not update notes (${error.message})`);
+          row.context_notes = chunkContext && chunkContext.notes;
+        }
+      }
+    }
+  }));
+}
+
+/**
+ * Process pending translations. Chunks found in the translation memory
+ * are filled in without an API call. With several target languages every
+ * (chunk, language) row is scheduled through the same `maxConcurrent`
+ * limit.
+ *
+ * options: { maxConcurrent, glossary, memoryDb, context, format, file, targets, slots, emit, meter },
+ * where context is null or { chars, summary } to translate each chunk with
+ * the previous one as read-only context, format is 'text' or the
+ * structured format the chunks are segment batches of, file and targets
+ * (the run's target languages) name chunks in log lines and slots (see
+ * createSlots) is a concurrency budget shared with other files.
+ */
+async function processTranslations(db, options) {
   return new Promise((resolve, reject) => {
-    db.run('BEGIN TRANSACTION', (err) => {
+    db.all(`
+      SELECT id, sequence_number, source_text, translated_text, source_lang, target_lang, status, context_notes
+      FROM translations
+      ORDER BY sequence_number, id
+    `, async (err, rows) => {
       if (err) {
         reject(err);
         return;
       }
 
-      db.run('DELETE FROM translations', (err) => {
-        if (err) {
-          db.run('ROLLBACK', () => reject(err));
-          return;
-        }
-
-        const stmt = db.prepare(`
-          INSERT INTO translations (sequence_number, source_text, source_lang, target_lang, chunk_size)
-          VALUES (?, ?, ?, ?, ?)
-        `);
-
-        let insertCount = 0;
-        const totalChunks = chunks.length;
-
-        for (let i = 0; i < chunks.length; i++) {
-          stmt.run(i, chunks[i], sourceLang, targetLang, chunkSize, (err) => {
-            if (err) {
-              console.error(`Error inserting chunk ${i}:`, err);
-            }
-            insertCount++;
-
-            // When all inserts are done, finalize and commit
-            if (insertCount === totalChunks) {
-              stmt.finalize();
-              db.run('COMMIT', (err) => {
-                if (err) {
-                  reject(err);
-                  return;
-                }
-                resolve();
-              });
-            }
-          });
+      const pending = rows.filter(row => row.status === 'pending');
+      if (!options.file) console.log(`\nProcessing ${pending.length} chunks...\n`);
+
+      try {
+        if (options.context && pending.length > 0) {
+          // Every language is its own sequence of chunks; their lanes share the slots
+          const slots = options.slots || createSlots(options.maxConcurrent);
+          const languages = [...new Set(pending.map(row => row.target_lang))];
+          await Promise.all(languages.map(language => processWithContext(
+            db,
+            rows.filter(row => row.target_lang === language),
+            pending.filter(row => row.target_lang === language),
+            { ...options, slots }
+          )));
+        } else {
+          await processQueue(db, pending, options);
         }
-      });
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
     });
   });
 }
 
 /**
- * Translate a single chunk
+ * Align the translated chunks that have no sentence pairs yet (see
+ * lib/alignment.js) and store the pairs with each chunk. Chunks the length
+ * heuristic can't align cost one model call each. Sentence pairs of
+ * successful chunks go into the translation memory too. Resolves to the
+ * number of chunks aligned per method.
  */
-async function translateChunk(text, chunkIndex, sourceLang, targetLang) {
-  console.log(`  Translating chunk ${chunkIndex + 1} (${text.length} chars)...`);
+async function alignTranslations(db, { maxConcurrent, memoryDb = null, format = 'text', file = null, targets = [], slots = null }) {
+  const rows = await new Promise((resolve, reject) => {
+    db.all(`
+      SELECT id, sequence_number, source_text, translated_text, source_lang, target_lang, status
+      FROM translations
+      WHERE status IN ('success', 'needs_review') AND alignment IS NULL
+      ORDER BY sequence_number, id
+    `, (err, result) => {
+      if (err) reject(err);
+      else resolve(result);
+    });
+  });
+  const counts = { heuristic: 0, model: 0, chunk: 0 };
+  if (rows.length === 0) return counts;
+  if (!file) console.log(`\nAligning ${rows.length} chunks at sentence level...`);
+
+  await runPool(rows, (row) => withSlot(slots, async () => {
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    const complete = (request) => createCompletion({ ...request, temperature: 0 }, `${rowName(row, file, targets)} alignment`, {
+      onUsage: (reply) => {
+        usage.promptTokens += reply.promptTokens;
+        usage.completionTokens += reply.completionTokens;
+      }
+    });
 
-  const langInstruction = sourceLang === 'auto'
-    ? `Translate the following text to ${targetLang}`
-    : `Translate the following ${sourceLang} text to ${targetLang}`;
+    let result;
+    try {
+      result = await alignChunk(row.source_text, row.translated_text, {
+        segments: format !== 'text',
+        sourceLang: row.source_lang,
+        targetLang: row.target_lang,
+        complete
+      });
+    } catch (error) {
+      // Left unaligned, so the next run with --align tries again
+      console.log(`  ${rowName(row, file, targets)}: could not align (${error.message})`);
+      return;
+    }
+    counts[result.method]++;
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: CONFIG.model,
-      messages: [
-        {
-          role: "system",
-          content: `You are a professional translator. ${langInstruction}. Preserve the original meaning, tone, and formatting. Maintain paragraph breaks. Only output the translation, no explanations.`
-        },
-        {
-          role: "user",
-          content: text
-        }
-      ],
-      temperature: CONFIG.temperature
+    await new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE translations
+        SET sentence_pairs = ?, alignment = ?, prompt_tokens = prompt_tokens + ?, completion_tokens = completion_tokens + ?
+        WHERE id = ?
+      `, [JSON.stringify(result.pairs), result.method, usage.promptTokens, usage.completionTokens, row.id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
     });
 
-    return response.choices[0].message.content.trim();
-  } catch (error) {
-    if (error.status === 429) {
-      console.log('  Rate limit hit, waiting 20 seconds...');
-      await new Promise(resolve => setTimeout(resolve, 20000));
-      return translateChunk(text, chunkIndex, sourceLang, targetLang);
+    if (memoryDb && row.status === 'success' && result.method !== 'chunk') {
+      for (const pair of result.pairs) {
+        if (!pair.source || !pair.target) continue;
+        await saveToMemory(memoryDb, {
+          sourceText: pair.source,
+          sourceLang: row.source_lang,
+          targetLang: row.target_lang,
+          model: CONFIG.model,
+          prompt: buildSystemPrompt(row.source_lang, row.target_lang)
+        }, pair.target);
+      }
     }
-    throw error;
+  }), { concurrency: maxConcurrent });
+
+  return counts;
+}
+
+function ensureDirectory(filePath) {
+  const dir = path.dirname(filePath);
+  if (dir && !fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
   }
 }
 
 /**
- * Process pending translations
+ * Write a bilingual export of the stored source/translation pairs of
+ * `targetLang` (see lib/export.js) instead of the translated document
  */
-async function processTranslations(db, maxConcurrent) {
+function writeExport(db, outputFilePath, exportFormat, { segments, sourceLang, targetLang, fileName }) {
   return new Promise((resolve, reject) => {
     db.all(`
-      SELECT id, sequence_number, source_text, source_lang, target_lang
+      SELECT sequence_number, source_text, translated_text, status, quality_issues, sentence_pairs
       FROM translations
-      WHERE status = 'pending'
+      WHERE target_lang = ?
       ORDER BY sequence_number
-    `, async (err, rows) => {
+    `, [targetLang], (err, rows) => {
       if (err) {
         reject(err);
         return;
       }
-
-      console.log(`\nProcessing ${rows.length} chunks...\n`);
-
-      for (let i = 0; i < rows.length; i += maxConcurrent) {
-        const batch = rows.slice(i, i + maxConcurrent);
-
-        const promises = batch.map(async (row) => {
-          try {
-            const translation = await translateChunk(
-              row.source_text,
-              row.sequence_number,
-              row.source_lang,
-              row.target_lang
-            );
-
-            return new Promise((resolve, reject) => {
-              db.run(`
-                UPDATE translations
-                SET translated_text = ?, status = 'success', timestamp = CURRENT_TIMESTAMP
-                WHERE id = ?
-              `, [translation, row.id], (err) => {
-                if (err) reject(err);
-                else resolve();
-              });
-            });
-          } catch (error) {
-            return new Promise((resolve) => {
-              db.run(`
-                UPDATE translations
-                SET status = 'failure', error_message = ?, timestamp = CURRENT_TIMESTAMP
-                WHERE id = ?
-              `, [error.message || 'Unknown error', row.id], () => resolve());
-            });
-          }
-        });
-
-        await Promise.all(promises);
-
-        if (i + maxConcurrent < rows.length) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+      try {
+        ensureDirectory(outputFilePath);
+        const pairs = pairsFromRows(rows, { segments });
+        fs.writeFileSync(outputFilePath, buildExport(pairs, exportFormat, { sourceLang, targetLang, fileName }), 'utf8');
+        resolve();
+      } catch (error) {
+        reject(error);
       }
-
-      resolve();
     });
   });
 }
 
 /**
- * Generate output file from database
+ * Generate the output file of one target language from the database. For
+ * structured formats `document` is the extracted input; its segments are
+ * filled in with the stored translations (failed ones keep their source
+ * text) and the file is rebuilt with the original structure. Plain text is
+ * written chunk by chunk as the rows are read, never joined in memory.
+ * Chunks that need review are written like successful ones. Without
+ * `outputFilePath` only the stats are computed.
  */
-async function generateOutput(db, outputFilePath) {
-  return new Promise((resolve, reject) => {
+async function generateOutput(db, outputFilePath, document, targetLang) {
+  const rows = await new Promise((resolve, reject) => {
     db.all(`
-      SELECT sequence_number, translated_text, status
+      SELECT sequence_number, status, glossary_violations, from_memory, prompt_tokens, completion_tokens
       FROM translations
+      WHERE target_lang = ?
       ORDER BY sequence_number
-    `, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+    `, [targetLang], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
 
-      const stats = { total: rows.length, success: 0, failure: 0 };
-      const translatedChunks = new Array(rows.length);
+  const stats = {
+    total: rows.length,
+    success: 0,
+    needsReview: 0,
+    failure: 0,
+    glossaryViolations: 0,
+    fromMemory: 0,
+    promptTokens: 0,
+    completionTokens: 0
+  };
+  for (const row of rows) {
+    stats.promptTokens += row.prompt_tokens || 0;
+    stats.completionTokens += row.completion_tokens || 0;
+    if (row.status === 'success' || row.status === 'needs_review') {
+      if (row.status === 'success') stats.success++;
+      else stats.needsReview++;
+      if (row.glossary_violations) stats.glossaryViolations++;
+      if (row.from_memory) stats.fromMemory++;
+    } else {
+      stats.failure++;
+    }
+  }
 
-      for (const row of rows) {
-        if (row.status === 'success') {
-          translatedChunks[row.sequence_number] = row.translated_text;
-          stats.success++;
-        } else {
-          translatedChunks[row.sequence_number] = `[TRANSLATION ERROR IN CHUNK ${row.sequence_number + 1}]`;
-          stats.failure++;
-        }
-      }
+  // Check for gaps
+  const sequences = new Set(rows.map(row => row.sequence_number));
+  for (let i = 0; i < rows.length; i++) {
+    if (!sequences.has(i)) stats.failure++;
+  }
 
-      // Check for gaps
-      for (let i = 0; i < translatedChunks.length; i++) {
-        if (translatedChunks[i] === undefined) {
-          translatedChunks[i] = `[MISSING CHUNK ${i + 1}]`;
-          stats.failure++;
-        }
-      }
+  if (!outputFilePath) return stats;
+  ensureDirectory(outputFilePath);
 
-      const outputDir = path.dirname(outputFilePath);
-      if (outputDir && !fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
+  const isTranslated = (row) => row.status === 'success' || row.status === 'needs_review';
+  if (document) {
+    const translations = new Map();
+    for await (const row of readTranslations(db, targetLang, 'sequence_number, status, translated_text')) {
+      if (!isTranslated(row)) continue;
+      for (const [id, text] of Object.entries(JSON.parse(row.translated_text))) {
+        translations.set(id, text);
       }
+    }
+    fs.writeFileSync(outputFilePath, document.rebuild(translations), 'utf8');
+    return stats;
+  }
 
-      const translatedText = translatedChunks.join('\n\n');
-      fs.writeFileSync(outputFilePath, translatedText, 'utf8');
+  // Put back the whitespace the source had around each chunk
+  const output = await openOutput(outputFilePath);
+  let next = 0;
+  for await (const row of readTranslations(db, targetLang,
+    'sequence_number, status, translated_text, leading_whitespace, trailing_whitespace')) {
+    for (; next < row.sequence_number; next++) {
+      await writeText(output, joinChunk({ translated: `[MISSING CHUNK ${next + 1}]` }, next));
+    }
+    await writeText(output, joinChunk({
+      translated: isTranslated(row) ? row.translated_text : `[TRANSLATION ERROR IN CHUNK ${row.sequence_number + 1}]`,
+      leading: row.leading_whitespace,
+      trailing: row.trailing_whitespace
+    }, row.sequence_number));
+    next = row.sequence_number + 1;
+  }
+  await closeOutput(output);
+  return stats;
+}
 
-      resolve(stats);
+/**
+ * Put chunks with the given status (failure or needs_review) back in the
+ * queue. Resolves to the number re-queued.
+ */
+function requeueChunks(db, status) {
+  return new Promise((resolve, reject) => {
+    db.run(`
+      UPDATE translations
+      SET status = 'pending', error_message = NULL, quality_issues = NULL, sentence_pairs = NULL, alignment = NULL
+      WHERE status = ?
+    `, [status], function (err) {
+      if (err) reject(err);
+      else resolve(this.changes);
     });
   });
 }
@@ -338,79 +770,884 @@ async function getTranslationStats(db) {
       SELECT
         COUNT(*) as total,
         SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as success,
+        SUM(CASE WHEN status = 'needs_review' THEN 1 ELSE 0 END) as needsReview,
         SUM(CASE WHEN status = 'failure' THEN 1 ELSE 0 END) as failure,
         SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending
       FROM translations
     `, (err, row) => {
       if (err) reject(err);
-      else resolve(row || { total: 0, success: 0, failure: 0, pending: 0 });
+      else resolve(row || { total: 0, success: 0, needsReview: 0, failure: 0, pending: 0 });
+    });
+  });
+}
+
+/**
+ * All stored chunks, in order
+ */
+function readChunks(db) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM translations ORDER BY sequence_number, id', (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+/**
+ * The run a file is translated with: the hash of its text and the settings
+ * its chunks depend on (see lib/resume.js). The target is recorded as a
+ * name, or a list of names for several languages.
+ */
+function describeRun(text, format, sourceLang, targets, sizing, options) {
+  return {
+    sourceHash: contentHash(text),
+    settings: {
+      sourceLang,
+      targetLang: targets.length === 1 ? targets[0] : targets,
+      format,
+      chunkSize: sizing.size,
+      chunkUnit: sizing.tokens ? 'tokens' : 'chars',
+      keys: options.jsonKeys || null,
+      columns: options.csvColumns || null,
+      maxLineLength: options.maxLineLength || null
+    }
+  };
+}
+
+/**
+ * Compare the run recorded in the database with `run`. Resolves to
+ * { previous, changes }. Databases from before runs were recorded only
+ * have the languages and chunk size stored with each chunk; with those
+ * unchanged, the stored chunks are compared with `createChunks()`.
+ */
+async function findChanges(db, run, createChunks) {
+  const recorded = await readMetadata(db);
+  if (recorded) return { previous: recorded, changes: describeChanges(recorded, run) };
+
+  // Such databases hold a single target language
+  const rows = await readChunks(db);
+  const previous = {
+    sourceHash: null,
+    settings: { sourceLang: rows[0].source_lang, targetLang: rows[0].target_lang, chunkSize: rows[0].chunk_size }
+  };
+  const changes = describeChanges(previous, run);
+  if (changes.length === 0) {
+    const chunks = createChunks();
+    if (chunks.length !== rows.length || chunks.some((chunk, i) => chunk.text !== rows[i].source_text)) {
+      changes.push('source text');
+    }
+  }
+  return { previous, changes };
+}
+
+/**
+ * Incremental update after the input changed: store the new `chunks`,
+ * keeping the translations of those that are unchanged (see matchChunks),
+ * matched separately for every target language. Translations are only
+ * kept if the source language and prompt are the same; a newly added
+ * target language starts with nothing. Resolves to the number of (chunk,
+ * language) translations kept.
+ */
+async function updateChunks(db, chunks, { previous, run, segments }) {
+  const targets = [].concat(run.settings.targetLang);
+  const translated = translationsReusable(previous, run)
+    ? (await readChunks(db)).filter(row => row.status === 'success' || row.status === 'needs_review')
+    : [];
+  const matched = chunks.map(chunk => ({ ...chunk, targets: {} }));
+  let kept = 0;
+
+  for (const target of targets) {
+    const rows = translated.filter(row => row.target_lang === target);
+    matchChunks(chunks, rows.map(row => ({
+      source: row.source_text,
+      translated: row.translated_text,
+      clean: row.status === 'success',
+      record: row
+    })), { segments }).forEach((chunk, i) => {
+      matched[i].targets[target] = { previous: chunk.previous, translated: chunk.translated };
+      if (chunk.previous || chunk.translated) kept++;
     });
+  }
+
+  await storeChunksInDatabase(db, matched, run.settings.sourceLang, targets, run.settings.chunkSize);
+  return kept;
+}
+
+/**
+ * Chunk size for a file: `chunkSize` characters, or in token mode
+ * (`chunkTokens`: a number or 'auto') estimated tokens, capped so the
+ * expected translation fits the model's output limit. The translation is
+ * expected to need expansionRatio() times the source's tokens (for the
+ * most expanding of the `targets`, as the chunks are shared by all of
+ * them); an 'auto' source language is detected from the text. Returns
+ * { size, tokens, limit, expansion }.
+ */
+function resolveChunkSize(text, format, sourceLang, targets, { chunkSize, chunkTokens }) {
+  if (!chunkTokens) return { size: chunkSize, tokens: false };
+
+  const sourceCode = languageCode(sourceLang) || detectLanguage(text.slice(0, 10000)).language;
+  const expansion = Math.max(...targets.map(target => expansionRatio(sourceCode, languageCode(target))));
+  const systemPrompt = buildSystemPrompt(sourceLang, targets[0]) +
+    (format !== 'text' ? `\n\n${buildSegmentInstruction(FORMAT_NAMES[format])}` : '');
+  const limit = chunkTokenBudget(CONFIG.model, { expansion, promptTokens: estimateTokens(systemPrompt) });
+  return { size: chunkTokens === 'auto' ? limit : Math.min(chunkTokens, limit), tokens: true, limit, expansion };
+}
+
+/**
+ * Chunk size line of the run summary
+ */
+function describeChunkSize(sizing, chunkTokens) {
+  if (!sizing.tokens) return `${sizing.size} chars`;
+  return `${sizing.size} tokens (model limit ~${sizing.limit} at ${sizing.expansion.toFixed(2)}x expected expansion` +
+    (chunkTokens !== 'auto' && chunkTokens > sizing.limit ? `, lowered from ${chunkTokens}` : '') + ')';
+}
+
+/**
+ * Chunks to store for a file: segment batches for structured documents,
+ * smart chunks for plain text. `sizing` is from resolveChunkSize.
+ */
+function createChunks(text, document, sizing) {
+  if (!document) return splitTextIntoChunks(text, sizing.size, { tokens: sizing.tokens });
+  return batchSegments(document.segments, sizing.size, { tokens: sizing.tokens })
+    .map(batch => ({ text: encodeBatch(batch), leading: '', trailing: '', boundary: null }));
+}
+
+/**
+ * Dry run: chunk the file and print projected tokens and cost per model
+ * without calling the API, summed over the target languages (`targetLang`
+ * is a language or a list of them). Translation memory hits are not taken
+ * into account.
+ */
+function estimateFile(inputFilePath, sourceLang, targetLang, options = {}) {
+  const targets = [].concat(targetLang);
+  const chunkSize = options.chunkSize || CONFIG.chunkSize;
+  const chunkTokens = options.chunkTokens || CONFIG.chunkTokens;
+  const format = options.inputFormat || detectFormat(inputFilePath);
+  const prices = loadPrices(options.pricesPath || CONFIG.pricesPath);
+
+  const text = fs.readFileSync(inputFilePath, 'utf8');
+  const document = format === 'text' ? null : extractDocument(format, text, {
+    keys: options.jsonKeys,
+    columns: options.csvColumns,
+    maxLineLength: options.maxLineLength,
+    fileName: inputFilePath
   });
+  const sizing = resolveChunkSize(text, format, sourceLang, targets, { chunkSize, chunkTokens });
+  const chunks = createChunks(text, document, sizing);
+  const estimates = targets.map(target => estimateRun(
+    chunks.map(chunk => chunk.text),
+    buildSystemPrompt(sourceLang, target) + (document ? `\n\n${buildSegmentInstruction(FORMAT_NAMES[format])}` : '')
+  ));
+  const estimate = {
+    chunks: chunks.length,
+    promptTokens: estimates.reduce((sum, languageEstimate) => sum + languageEstimate.promptTokens, 0),
+    completionTokens: estimates.reduce((sum, languageEstimate) => sum + languageEstimate.completionTokens, 0)
+  };
+
+  console.log(`\nInput: ${inputFilePath} (${text.length.toLocaleString()} characters, ${FORMAT_NAMES[format] || 'plain text'})`);
+  console.log(`Chunks: ${estimate.chunks} of up to ${describeChunkSize(sizing, chunkTokens)}` +
+    (targets.length > 1 ? `, each translated into ${targets.length} languages (${targets.join(', ')})` : ''));
+  console.log(`Estimated tokens: ~${estimate.promptTokens.toLocaleString()} input, ~${estimate.completionTokens.toLocaleString()} output\n`);
+  console.log('Projected cost (USD, before translation memory):');
+  for (const model of Object.keys(prices)) {
+    const cost = formatCost(estimateCost(estimate, model, prices));
+    console.log(`  ${model.padEnd(16)} ${cost.padStart(10)}${model === CONFIG.model ? '  <- OPENAI_MODEL' : ''}`);
+  }
+  if (!prices[CONFIG.model]) {
+    console.log(`  ${CONFIG.model.padEnd(16)} ${'no price'.padStart(10)}  <- OPENAI_MODEL (add it with --prices)`);
+  }
+  console.log('');
+
+  return { ...estimate, format, costs: Object.fromEntries(Object.keys(prices).map(model => [model, estimateCost(estimate, model, prices)])) };
+}
+
+/**
+ * Stats of several target languages (from generateOutput) added up
+ */
+function sumStats(list) {
+  const total = {};
+  for (const stats of list) {
+    for (const [key, value] of Object.entries(stats)) total[key] = (total[key] || 0) + value;
+  }
+  return total;
 }
 
 /**
- * Main translation function
+ * Main translation function. `options.events` (an EventEmitter) receives
+ * progress events: job-start, chunk-start, chunk-retry, chunk-success,
+ * chunk-failure and job-done (payloads are described in SPEC.md).
+ *
+ * An existing database is resumed only if the input and settings are the
+ * ones it was made from; otherwise this throws unless `options.update`
+ * (re-translate only the changed chunks) or `options.clearDatabase`
+ * (start over) is set.
+ *
+ * `targetLang` can be a list of languages: the file is chunked once, every
+ * (chunk, language) pair is a row of the same database, all of them share
+ * the concurrency limit and each language gets its own output file
+ * (languageOutputPath, e.g. book.de.txt, unless `options.outputPaths` maps
+ * languages to paths).
+ *
+ * translateDirectory() sets `quiet` (no banner or summary), `file` (the
+ * name in log lines), `slots` (a concurrency budget shared by its files)
+ * and `memoryDb` (an open translation memory).
  */
 async function translateFile(inputFilePath, outputFilePath, sourceLang, targetLang, options = {}) {
-  const dbPath = options.dbPath || inputFilePath.replace(/\.[^.]+$/, '') + '.db';
+  const targets = [].concat(targetLang);
+  if (targets.length === 0) throw new Error('No target language given');
+  const outputPaths = options.outputPaths || Object.fromEntries(targets.map(target =>
+    [target, targets.length > 1 ? languageOutputPath(outputFilePath, target) : outputFilePath]));
+  const dbPath = options.dbPath || progressDatabasePath(inputFilePath);
   const chunkSize = options.chunkSize || CONFIG.chunkSize;
+  const chunkTokens = options.chunkTokens || CONFIG.chunkTokens;
   const maxConcurrent = options.maxConcurrent || CONFIG.maxConcurrent;
   const clearDatabase = options.clearDatabase || false;
-
-  console.log('\n========================================');
-  console.log('  Easy Translator');
-  console.log('========================================\n');
-  console.log(`Input:  ${inputFilePath}`);
-  console.log(`Output: ${outputFilePath}`);
-  console.log(`Languages: ${sourceLang} -> ${targetLang}`);
-  console.log(`Model: ${CONFIG.model}`);
-  console.log(`Chunk size: ${chunkSize} chars`);
-  console.log(`Concurrent requests: ${maxConcurrent}`);
+  const { file = null, slots = null } = options;
+  const format = options.inputFormat || detectFormat(inputFilePath);
+  const exportFormat = options.format || 'document';
+  if (!Object.hasOwn(EXPORT_FORMATS, exportFormat)) {
+    throw new Error(`Unknown output format: ${exportFormat} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  const glossary = options.glossary || (options.glossaryPath ? loadGlossary(options.glossaryPath) : []);
+  const memoryPath = options.memory === false ? null : (options.memoryPath || CONFIG.memoryPath);
+  const context = options.context || options.contextSummary
+    ? { chars: options.contextChars || CONFIG.contextChars, summary: !!options.contextSummary }
+    : null;
+  // Directory mode prints its own summary per file
+  const log = options.quiet ? () => {} : console.log;
+  // Progress events for tools embedding translateFile (see the spec)
+  const emit = (type, data) => {
+    if (options.events) options.events.emit(type, data);
+  };
+
+  log('\n========================================');
+  log('  Easy Translator');
+  log('========================================\n');
+  log(`Input:  ${inputFilePath}`);
+  log(`Output: ${Object.values(outputPaths).join(', ')}`);
+  log(`Languages: ${sourceLang} -> ${targets.join(', ')}`);
+  log(`Model: ${CONFIG.model}`);
+  log(`Provider: ${CONFIG.provider}${CONFIG.baseUrl ? ` (${CONFIG.baseUrl})` : ''}`);
+  log(`Format: ${FORMAT_NAMES[format] || 'Plain text'}`);
+  if (exportFormat !== 'document') {
+    log(`Output format: ${exportFormat}`);
+  }
+  if (!chunkTokens) {
+    log(`Chunk size: ${chunkSize} chars`);
+  }
+  log(`Concurrent requests: ${maxConcurrent}`);
+  log(`Rate limit: ${describeRateLimit(getRateLimiter().limits())}`);
+  if (glossary.length > 0) {
+    log(`Glossary: ${glossary.length} terms`);
+  }
+  log(`Translation memory: ${memoryPath || 'disabled'}`);
+  if (context) {
+    log(`Context: previous ${context.chars} chars${context.summary ? ' + running notes' : ''}`);
+  }
 
   try {
     const text = fs.readFileSync(inputFilePath, 'utf8');
-    console.log(`\nFile size: ${text.length.toLocaleString()} characters`);
+    log(`\nFile size: ${text.length.toLocaleString()} characters`);
+
+    const document = format === 'text' ? null : extractDocument(format, text, {
+      keys: options.jsonKeys,
+      columns: options.csvColumns,
+      maxLineLength: options.maxLineLength,
+      fileName: inputFilePath
+    });
+    if (document) {
+      log(`Extracted ${document.segments.length} translatable segments`);
+    }
+    const sizing = resolveChunkSize(text, format, sourceLang, targets, { chunkSize, chunkTokens });
+    if (chunkTokens) {
+      log(`Chunk size: ${describeChunkSize(sizing, chunkTokens)}`);
+    }
 
     const db = await initializeDatabase(dbPath);
-    const stats = await getTranslationStats(db);
+    // Directory mode shares one memory connection between its files
+    const ownMemory = !options.memoryDb && memoryPath;
+    const memoryDb = options.memoryDb || (ownMemory ? await openMemory(memoryPath) : null);
+    let stats = await getTranslationStats(db);
+    const meter = createThroughputMeter();
+    const run = describeRun(text, format, sourceLang, targets, sizing, options);
+    const work = { maxConcurrent, glossary, memoryDb, context, format, file, targets, slots, emit, meter };
 
     if (stats.total > 0 && !clearDatabase) {
-      console.log(`\nFound existing progress: ${stats.success}/${stats.total} completed`);
+      const { previous, changes } = await findChanges(db, run, () => createChunks(text, document, sizing));
+      if (changes.length > 0) {
+        log(`\nInput changed since the last run: ${changes.join(', ')}`);
+        if (!options.update) {
+          db.close();
+          if (ownMemory) memoryDb.close();
+          throw new Error(`${dbPath} holds the translation of a different input or settings. ` +
+            'Run again with --update to re-translate only the changed chunks, or --restart to start over.');
+        }
+        const chunks = createChunks(text, document, sizing);
+        const kept = await updateChunks(db, chunks, { previous, run, segments: !!document });
+        const total = chunks.length * targets.length;
+        log(`Updated: ${kept} of ${total} chunks unchanged, ${total - kept} to translate` +
+          (targets.length > 1 ? ` (${chunks.length} chunks x ${targets.length} languages)` : '') +
+          (translationsReusable(previous, run) ? '' : ' (source language or prompt changed, nothing kept)'));
+        stats = await getTranslationStats(db);
+      }
+      await writeMetadata(db, run);
+
+      log(`\nFound existing progress: ${stats.success + stats.needsReview}/${stats.total} completed`);
+
+      if (options.retryFailed && stats.failure > 0) {
+        log(`Retrying ${await requeueChunks(db, 'failure')} failed chunks`);
+        stats = await getTranslationStats(db);
+      }
+      if (options.retryReview && stats.needsReview > 0) {
+        log(`Re-translating ${await requeueChunks(db, 'needs_review')} chunks that need review`);
+        stats = await getTranslationStats(db);
+      }
 
-      if (stats.pending > 0 || stats.failure > 0) {
-        console.log(`Resuming: ${stats.pending} pending, ${stats.failure} failed`);
-        await processTranslations(db, maxConcurrent);
+      if (stats.pending > 0) {
+        log(`Resuming: ${stats.pending} pending` +
+          (stats.failure > 0 ? ` (${stats.failure} failed chunks skipped, use --retry-failed to retry them)` : ''));
+        emit('job-start', {
+          total: stats.total, completed: stats.success + stats.needsReview, failed: stats.failure, format, languages: targets
+        });
+        await processTranslations(db, work);
       }
     } else {
-      const chunks = splitTextIntoChunks(text, chunkSize);
-      console.log(`Split into ${chunks.length} chunks`);
+      const chunks = createChunks(text, document, sizing);
+      log(`Split into ${chunks.length} chunks` + (targets.length > 1 ? `, each translated into ${targets.length} languages` : ''));
 
-      await storeChunksInDatabase(db, chunks, sourceLang, targetLang, chunkSize);
-      await processTranslations(db, maxConcurrent);
+      await storeChunksInDatabase(db, chunks, sourceLang, targets, sizing.size);
+      await writeMetadata(db, run);
+      emit('job-start', { total: chunks.length * targets.length, completed: 0, failed: 0, format, languages: targets });
+      await processTranslations(db, work);
     }
 
-    console.log('\nGenerating output file...');
-    const finalStats = await generateOutput(db, outputFilePath);
+    const alignment = options.align ? await alignTranslations(db, { maxConcurrent, memoryDb, format, file, targets, slots }) : null;
+
+    log(`\nGenerating output file${targets.length > 1 ? 's' : ''}...`);
+    const languages = {};
+    for (const target of targets) {
+      languages[target] = await generateOutput(db, exportFormat === 'document' ? outputPaths[target] : null, document, target);
+      if (exportFormat !== 'document') {
+        await writeExport(db, outputPaths[target], exportFormat, {
+          segments: !!document,
+          sourceLang,
+          targetLang: target,
+          fileName: path.basename(inputFilePath)
+        });
+      }
+    }
+    const finalStats = sumStats(Object.values(languages));
 
     db.close();
-
-    console.log('\n========================================');
-    console.log('  Translation Complete!');
-    console.log('========================================');
-    console.log(`Successful: ${finalStats.success}/${finalStats.total} chunks`);
+    if (ownMemory) memoryDb.close();
+
+    log('\n========================================');
+    log('  Translation Complete!');
+    log('========================================');
+    log(`Successful: ${finalStats.success}/${finalStats.total} chunks`);
+    if (finalStats.needsReview > 0) {
+      log(`Needs review: ${finalStats.needsReview} chunks failed the quality checks (kept in the output, see quality_issues in the database)`);
+      log('Run the same command with --retry-review to re-translate them');
+    }
+    if (finalStats.fromMemory > 0) {
+      log(`Reused from translation memory: ${finalStats.fromMemory} chunks`);
+    }
+    if (alignment) {
+      finalStats.alignment = alignment;
+      log(`Sentence alignment: ${alignment.heuristic} by length, ${alignment.model} by the model` +
+        (alignment.chunk > 0 ? `, ${alignment.chunk} kept as whole chunks` : ''));
+    }
+    const prices = loadPrices(options.pricesPath || CONFIG.pricesPath);
+    finalStats.cost = estimateCost(finalStats, CONFIG.model, prices);
+    log(`Tokens: ${finalStats.promptTokens.toLocaleString()} input, ${finalStats.completionTokens.toLocaleString()} output (${formatCost(finalStats.cost)})`);
+    finalStats.throughput = meter.summary();
+    if (finalStats.throughput.chunks > 0) {
+      log(`Throughput: ${formatThroughput(finalStats.throughput)} (${finalStats.throughput.chunks} chunks in ${finalStats.throughput.minutes.toFixed(1)} min)`);
+    }
     if (finalStats.failure > 0) {
-      console.log(`Failed: ${finalStats.failure} chunks`);
+      log(`Failed: ${finalStats.failure} chunks${document ? ' (their segments were left untranslated)' : ''}`);
+      log('Run the same command with --retry-failed to retry them');
+    }
+    if (finalStats.glossaryViolations > 0) {
+      log(`Glossary violations: ${finalStats.glossaryViolations} chunks (see glossary_violations in the database)`);
+    }
+    if (targets.length > 1) {
+      finalStats.languages = languages;
+      log('Languages:');
+      for (const target of targets) {
+        const stats = languages[target];
+        stats.cost = estimateCost(stats, CONFIG.model, prices);
+        log(`  ${target}: ${stats.success + stats.needsReview}/${stats.total} chunks` +
+          (stats.needsReview > 0 ? `, ${stats.needsReview} need review` : '') +
+          (stats.failure > 0 ? `, ${stats.failure} failed` : '') +
+          ` (${formatCost(stats.cost)}) -> ${outputPaths[target]}`);
+      }
+    } else {
+      log(`Output saved to: ${outputFilePath}`);
     }
-    console.log(`Output saved to: ${outputFilePath}`);
-    console.log(`Database saved to: ${dbPath} (for resume)\n`);
+    log(`Database saved to: ${dbPath} (for resume)\n`);
 
-    return { status: 'success', stats: finalStats, outputPath: outputFilePath, dbPath };
+    const outputPath = targets.length > 1 ? null : outputPaths[targets[0]];
+    emit('job-done', { status: 'complete', stats: finalStats, outputPath, outputPaths });
+    return { status: 'success', stats: finalStats, outputPath, outputPaths, dbPath };
   } catch (error) {
-    console.error('\nError:', error.message);
+    if (!options.quiet) console.error('\nError:', error.message);
+    emit('job-done', { status: 'error', error: error.message });
     throw error;
   }
 }
 
+/**
+ * Streaming translation of plain text: chunks are cut from `input` (a
+ * Readable, e.g. process.stdin) as it is read, and their translations are
+ * written to `output` (a Writable, e.g. process.stdout) in order, each as
+ * soon as every chunk before it is done. Up to `maxConcurrent` chunks are
+ * in flight and at most STREAM_READ_AHEAD times that many are read ahead of
+ * the output, so memory use doesn't grow with the input. Nothing is stored
+ * but the translation memory, so a stream can't be resumed. Takes
+ * translateFile()'s options that apply to plain text and one target
+ * language; `inputName` names the input in the banner. An 'auto' source
+ * language gives token-mode chunks the default expansion, as there is no
+ * text to detect it from before the stream is read. Resolves to
+ * { status, stats }.
+ */
+async function translateStream(input, output, sourceLang, targetLang, options = {}) {
+  const chunkSize = options.chunkSize || CONFIG.chunkSize;
+  const chunkTokens = options.chunkTokens || CONFIG.chunkTokens;
+  const maxConcurrent = options.maxConcurrent || CONFIG.maxConcurrent;
+  const glossary = options.glossary || (options.glossaryPath ? loadGlossary(options.glossaryPath) : []);
+  const memoryPath = options.memory === false ? null : (options.memoryPath || CONFIG.memoryPath);
+  const log = options.quiet ? () => {} : console.log;
+  const emit = (type, data) => {
+    if (options.events) options.events.emit(type, data);
+  };
+  const sizing = resolveChunkSize('', 'text', sourceLang, [targetLang], { chunkSize, chunkTokens });
+
+  log('\n========================================');
+  log('  Easy Translator (streaming)');
+  log('========================================\n');
+  log(`Input:  ${options.inputName || 'stream'}`);
+  log(`Languages: ${sourceLang} -> ${targetLang}`);
+  log(`Model: ${CONFIG.model}`);
+  log(`Provider: ${CONFIG.provider}${CONFIG.baseUrl ? ` (${CONFIG.baseUrl})` : ''}`);
+  log(`Chunk size: ${describeChunkSize(sizing, chunkTokens)}`);
+  log(`Concurrent requests: ${maxConcurrent}`);
+  log(`Rate limit: ${describeRateLimit(getRateLimiter().limits())}`);
+  if (glossary.length > 0) {
+    log(`Glossary: ${glossary.length} terms`);
+  }
+  log(`Translation memory: ${memoryPath || 'disabled'}\n`);
+
+  const memoryDb = memoryPath ? await openMemory(memoryPath) : null;
+  const meter = createThroughputMeter();
+  const slots = createSlots(maxConcurrent);
+  const writer = createOrderedWriter(output);
+  const work = { glossary, memoryDb, format: 'text', targets: [targetLang], emit, meter };
+  const stats = {
+    total: 0,
+    success: 0,
+    needsReview: 0,
+    failure: 0,
+    glossaryViolations: 0,
+    fromMemory: 0,
+    promptTokens: 0,
+    completionTokens: 0
+  };
+  const tasks = new Set();
+
+  // Translate a chunk, count it and hand it to the writer (a failed one is
+  // marked in the output, as for files)
+  const translate = async (index, chunk) => {
+    const row = { id: index, sequence_number: index, source_text: chunk.text, source_lang: sourceLang, target_lang: targetLang };
+    const result = await slots.run(() => processRow(null, row, work));
+    stats.promptTokens += result.usage.promptTokens;
+    stats.completionTokens += result.usage.completionTokens;
+    if (result.translation === null) {
+      stats.failure++;
+    } else {
+      if (result.issues.length > 0) stats.needsReview++;
+      else stats.success++;
+      if (result.violations.length > 0) stats.glossaryViolations++;
+      if (result.fromMemory) stats.fromMemory++;
+    }
+    await writer.add(index, {
+      translated: result.translation ?? `[TRANSLATION ERROR IN CHUNK ${index + 1}]`,
+      leading: chunk.leading,
+      trailing: chunk.trailing
+    });
+  };
+
+  try {
+    emit('job-start', { total: null, completed: 0, failed: 0, format: 'text', languages: [targetLang] });
+    for await (const chunk of streamTextChunks(input, sizing.size, { tokens: sizing.tokens })) {
+      // Don't read further ahead of the output than the window
+      while (stats.total - writer.written >= STREAM_READ_AHEAD * maxConcurrent) await Promise.race(tasks);
+      const task = translate(stats.total++, chunk);
+      tasks.add(task);
+      task.then(() => tasks.delete(task), () => tasks.delete(task));
+    }
+    await Promise.all(tasks);
+    await closeOutput(output);
+  } catch (error) {
+    if (memoryDb) memoryDb.close();
+    if (!options.quiet) console.error('\nError:', error.message);
+    emit('job-done', { status: 'error', error: error.message });
+    throw error;
+  }
+  if (memoryDb) memoryDb.close();
+
+  const prices = loadPrices(options.pricesPath || CONFIG.pricesPath);
+  stats.cost = estimateCost(stats, CONFIG.model, prices);
+  stats.throughput = meter.summary();
+  log('\n========================================');
+  log('  Translation Complete!');
+  log('========================================');
+  log(`Successful: ${stats.success}/${stats.total} chunks`);
+  if (stats.needsReview > 0) {
+    log(`Needs review: ${stats.needsReview} chunks failed the quality checks (kept in the output)`);
+  }
+  if (stats.fromMemory > 0) {
+    log(`Reused from translation memory: ${stats.fromMemory} chunks`);
+  }
+  log(`Tokens: ${stats.promptTokens.toLocaleString()} input, ${stats.completionTokens.toLocaleString()} output (${formatCost(stats.cost)})`);
+  if (stats.throughput.chunks > 0) {
+    log(`Throughput: ${formatThroughput(stats.throughput)} (${stats.throughput.chunks} chunks in ${stats.throughput.minutes.toFixed(1)} min)`);
+  }
+  if (stats.failure > 0) {
+    log(`Failed: ${stats.failure} chunks (marked in the output; a stream can't be resumed)`);
+  }
+  if (stats.glossaryViolations > 0) {
+    log(`Glossary violations: ${stats.glossaryViolations} chunks`);
+  }
+  log('');
+
+  emit('job-done', { status: 'complete', stats, outputPath: null, outputPaths: {} });
+  return { status: 'success', stats };
+}
+
+/**
+ * Directory mode: translate every file found for `input` (a directory or a
+ * glob, see lib/batch.js) into the same relative path in `outputDir`. The
+ * files share one concurrency budget (`maxConcurrent` requests in flight
+ * over all of them), the rate limiter, the translation memory and the
+ * glossary. Each file keeps its progress database in
+ * <outputDir>/.easy-translator/ and is resumed like a single file (changed
+ * inputs are updated, keeping unchanged chunks). Files whose input and
+ * settings are the ones their output was made from are skipped.
+ * <outputDir>/manifest.json is rewritten after every file. With several
+ * target languages each goes into its own subdirectory (<outputDir>/de/...)
+ * and the manifest records every file's outputs and status per language.
+ * Resolves to the manifest.
+ */
+async function translateDirectory(input, outputDir, sourceLang, targetLang, options = {}) {
+  const targets = [].concat(targetLang);
+  if (targets.length === 0) throw new Error('No target language given');
+  const chunkSize = options.chunkSize || CONFIG.chunkSize;
+  const chunkTokens = options.chunkTokens || CONFIG.chunkTokens;
+  const maxConcurrent = options.maxConcurrent || CONFIG.maxConcurrent;
+  const exportFormat = options.format || 'document';
+  if (!Object.hasOwn(EXPORT_FORMATS, exportFormat)) {
+    throw new Error(`Unknown output format: ${exportFormat} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  const glossary = options.glossaryPath ? loadGlossary(options.glossaryPath) : [];
+  const memoryPath = options.memory === false ? null : (options.memoryPath || CONFIG.memoryPath);
+
+  const files = findInputFiles(input, { exclude: outputDir });
+  const previous = new Map(((readManifest(outputDir) || {}).files || []).map(entry => [entry.input, entry]));
+
+  console.log('\n========================================');
+  console.log('  Easy Translator');
+  console.log('========================================\n');
+  console.log(`Input:  ${input} (${files.length} files)`);
+  console.log(`Output: ${outputDir}`);
+  console.log(`Languages: ${sourceLang} -> ${targets.join(', ')}`);
+  console.log(`Model: ${CONFIG.model}`);
+  console.log(`Provider: ${CONFIG.provider}${CONFIG.baseUrl ? ` (${CONFIG.baseUrl})` : ''}`);
+  if (exportFormat !== 'document') {
+    console.log(`Output format: ${exportFormat}`);
+  }
+  console.log(`Concurrent requests: ${maxConcurrent} (shared by all files)`);
+  console.log(`Rate limit: ${describeRateLimit(getRateLimiter().limits())}`);
+  if (glossary.length > 0) {
+    console.log(`Glossary: ${glossary.length} terms`);
+  }
+  console.log(`Translation memory: ${memoryPath || 'disabled'}\n`);
+
+  const manifest = {
+    version: 1,
+    input,
+    output: outputDir,
+    sourceLang,
+    targetLang: targets.length === 1 ? targets[0] : targets,
+    model: CONFIG.model,
+    format: exportFormat,
+    updatedAt: null,
+    files: files.map(file => previous.get(file.relative) || { input: file.relative, status: 'pending' }),
+    totals: null
+  };
+  const save = () => {
+    manifest.updatedAt = new Date().toISOString();
+    manifest.totals = manifestTotals(manifest.files);
+    writeManifest(outputDir, manifest);
+  };
+  save();
+
+  const slots = createSlots(maxConcurrent);
+  const memoryDb = memoryPath ? await openMemory(memoryPath) : null;
+  let done = 0;
+
+  const chunkCounts = (stats) => ({
+    total: stats.total,
+    success: stats.success,
+    needsReview: stats.needsReview,
+    failure: stats.failure,
+    fromMemory: stats.fromMemory
+  });
+
+  const translateEntry = async (file, index) => {
+    const outputPaths = Object.fromEntries(targets.map(target => [
+      target,
+      outputPathFor(outputDir, file.relative, EXPORT_FORMATS[exportFormat], targets.length > 1 ? target : null)
+    ]));
+    const statePath = statePathFor(outputDir, file.relative);
+    const outputs = Object.fromEntries(Object.entries(outputPaths)
+      .map(([target, outputPath]) => [target, path.relative(outputDir, outputPath).split(path.sep).join('/')]));
+    const entry = targets.length > 1
+      ? { input: file.relative, outputs }
+      : { input: file.relative, output: outputs[targets[0]] };
+    let line;
+
+    try {
+      if (Object.values(outputs).includes(MANIFEST_FILE)) {
+        throw new Error(`its output would overwrite the manifest (${MANIFEST_FILE})`);
+      }
+      const text = fs.readFileSync(file.path, 'utf8');
+      const format = options.inputFormat || detectFormat(file.path);
+      const sizing = resolveChunkSize(text, format, sourceLang, targets, { chunkSize, chunkTokens });
+      const run = describeRun(text, format, sourceLang, targets, sizing, options);
+      entry.sourceHash = run.sourceHash;
+      entry.settingsHash = contentHash(JSON.stringify({ ...run.settings, output: exportFormat, align: !!options.align }));
+
+      const last = manifest.files[index];
+      const redo = options.clearDatabase || (options.retryFailed && last.status === 'failed') ||
+        (options.retryReview && last.status === 'needs_review');
+      if (!redo && isUpToDate(last, entry, Object.values(outputPaths))) {
+        manifest.files[index] = { ...last, skipped: true };
+        line = 'up to date, skipped';
+      } else {
+        ensureDirectory(statePath);
+        const result = await translateFile(file.path, null, sourceLang, targets, {
+          ...options,
+          outputPaths,
+          glossary,
+          memoryDb,
+          dbPath: statePath,
+          update: !options.clearDatabase,
+          quiet: true,
+          file: file.relative,
+          slots
+        });
+        const { stats } = result;
+        manifest.files[index] = {
+          ...entry,
+          status: fileStatus(stats),
+          format,
+          chunks: chunkCounts(stats),
+          tokens: { prompt: stats.promptTokens, completion: stats.completionTokens },
+          cost: stats.cost,
+          error: null,
+          translatedAt: new Date().toISOString()
+        };
+        if (stats.languages) {
+          manifest.files[index].languages = Object.fromEntries(Object.entries(stats.languages).map(([target, languageStats]) =>
+            [target, { status: fileStatus(languageStats), chunks: chunkCounts(languageStats) }]));
+        }
+        line = `${stats.success + stats.needsReview}/${stats.total} chunks` +
+          (stats.needsReview > 0 ? `, ${stats.needsReview} need review` : '') +
+          (stats.failure > 0 ? `, ${stats.failure} failed` : '') +
+          (targets.length > 1 ? ` (${targets.length} languages)` : '');
+      }
+    } catch (error) {
+      manifest.files[index] = { ...entry, status: 'error', error: error.message, translatedAt: new Date().toISOString() };
+      line = `error: ${error.message}`;
+    }
+
+    save();
+    console.log(`[${++done}/${files.length}] ${file.relative}: ${line}`);
+  };
+
+  try {
+    await runPool(files.map((file, index) => ({ file, index })), ({ file, index }) => translateEntry(file, index), {
+      concurrency: maxConcurrent
+    });
+  } finally {
+    if (memoryDb) memoryDb.close();
+  }
+
+  const { totals } = manifest;
+  console.log('\n========================================');
+  console.log('  Translation Complete!');
+  console.log('========================================');
+  console.log(`Files: ${totals.translated} translated, ${totals.needs_review} need review, ` +
+    `${totals.failed} with failed chunks, ${totals.error} errors (${totals.skipped} up to date, skipped)`);
+  for (const [language, counts] of Object.entries(totals.languages || {})) {
+    console.log(`  ${language}: ${counts.translated} translated, ${counts.needs_review} need review, ${counts.failed} with failed chunks`);
+  }
+  console.log(`Tokens: ${totals.promptTokens.toLocaleString()} input, ${totals.completionTokens.toLocaleString()} output (all files)`);
+  if (totals.failed > 0) {
+    console.log('Run the same command with --retry-failed to retry the failed chunks');
+  }
+  console.log(`Output saved to: ${outputDir}`);
+  console.log(`Manifest: ${path.join(outputDir, MANIFEST_FILE)}\n`);
+
+  return manifest;
+}
+
+/**
+ * Write the translation memory to a TMX file
+ */
+async function exportTranslationMemory(tmxPath, memoryPath = CONFIG.memoryPath) {
+  const memoryDb = await openMemory(memoryPath);
+  const units = await exportMemory(memoryDb);
+  memoryDb.close();
+
+  fs.writeFileSync(tmxPath, buildTmx(units), 'utf8');
+  return units.length;
+}
+
+/**
+ * Merge a TMX file into the translation memory. Units from other tools
+ * (no model/prompt props) are keyed to the current model and CLI prompt,
+ * with their language tags read as names (no source language: auto).
+ */
+async function importTranslationMemory(tmxPath, memoryPath = CONFIG.memoryPath) {
+  const units = parseTmx(fs.readFileSync(tmxPath, 'utf8')).map(unit => {
+    if (unit.props['x-prompt']) return { ...unit, props: { ...unit.props, 'x-model': unit.props['x-model'] || CONFIG.model } };
+    const { sourceLang, targetLang } = unitLanguages(unit);
+    return {
+      ...unit,
+      props: {
+        'x-source-lang': sourceLang || 'auto',
+        'x-target-lang': targetLang,
+        'x-model': unit.props['x-model'] || CONFIG.model,
+        'x-prompt': buildSystemPrompt(sourceLang || 'auto', targetLang)
+      }
+    };
+  });
+
+  const memoryDb = await openMemory(memoryPath);
+  const count = await importMemory(memoryDb, units);
+  memoryDb.close();
+  return count;
+}
+
+/**
+ * Progress database of an input file: <input without extension>.db
+ */
+function progressDatabasePath(inputFilePath) {
+  return inputFilePath.replace(/\.[^.]+$/, '') + '.db';
+}
+
+/**
+ * Write the translation of `inputFilePath` (its progress database and the
+ * file itself) as a project file for translator.html or another machine.
+ * Resolves to the project.
+ */
+async function exportProject(inputFilePath, projectPath, { glossaryPath = null } = {}) {
+  const dbPath = progressDatabasePath(inputFilePath);
+  if (!fs.existsSync(dbPath)) throw new Error(`No progress database for ${inputFilePath} (${dbPath})`);
+
+  const source = fs.readFileSync(inputFilePath, 'utf8');
+  const db = await initializeDatabase(dbPath);
+  let rows, recorded;
+  try {
+    rows = await readChunks(db);
+    recorded = await readMetadata(db);
+  } finally {
+    db.close();
+  }
+  if (rows.length === 0) throw new Error(`${dbPath} holds no chunks`);
+  if (recorded && recorded.sourceHash !== contentHash(source)) {
+    throw new Error(`${inputFilePath} changed since it was translated; run it with --update first`);
+  }
+
+  // Databases from before runs were recorded only have these per chunk
+  const run = recorded || {
+    sourceHash: null,
+    settings: { sourceLang: rows[0].source_lang, format: detectFormat(inputFilePath), chunkSize: rows[0].chunk_size }
+  };
+  const project = buildProject({
+    fileName: path.basename(inputFilePath),
+    source,
+    run,
+    rows,
+    model: CONFIG.model,
+    prompt: buildSystemPrompt(run.settings.sourceLang || 'auto', rows[0].target_lang),
+    glossary: glossaryPath ? loadGlossary(glossaryPath) : [],
+    created: fs.statSync(dbPath).birthtime.toISOString()
+  });
+  fs.writeFileSync(projectPath, JSON.stringify(project, null, 2) + '\n', 'utf8');
+  return project;
+}
+
+/**
+ * Turn a project file into an input file and its progress database, so
+ * translateFile() resumes it. The input is the project's file name in the
+ * current directory unless `inputFilePath` is given; an existing input must
+ * have the project's text. `target` names the language of a project whose
+ * target the browser's prompt left unnamed. Resolves to { inputFilePath,
+ * dbPath, project, targets }.
+ */
+async function importProject(projectPath, inputFilePath = null, { target = null, restart = false } = {}) {
+  const project = parseProject(fs.readFileSync(projectPath, 'utf8'));
+  const targets = projectTargets(project, target);
+  const input = inputFilePath || path.basename(project.fileName || 'project.txt');
+  const dbPath = progressDatabasePath(input);
+
+  if (fs.existsSync(input)) {
+    if (contentHash(fs.readFileSync(input, 'utf8')) !== contentHash(project.source)) {
+      throw new Error(`${input} exists with a different text than the project's`);
+    }
+  } else {
+    ensureDirectory(input);
+    fs.writeFileSync(input, project.source, 'utf8');
+  }
+
+  const db = await initializeDatabase(dbPath);
+  try {
+    if (!restart && (await getTranslationStats(db)).total > 0) {
+      throw new Error(`${dbPath} already holds a translation; add --restart to replace it`);
+    }
+    const run = projectRun(project, targets);
+    await storeChunksInDatabase(db, projectChunks(project, target), run.settings.sourceLang, targets, run.settings.chunkSize);
+    await writeMetadata(db, run);
+  } finally {
+    db.close();
+  }
+  return { inputFilePath: input, dbPath, project, targets };
+}
+
+/**
+ * The command that resumes an imported project: its languages and the
+ * options its chunks were made with, retrying chunks that had failed
+ */
+function resumeCommand({ inputFilePath, project, targets }) {
+  const { settings } = projectRun(project, targets);
+  const quote = (value) => /[\s"']/.test(value) ? JSON.stringify(value) : value;
+  const parts = ['node translate.js', quote(inputFilePath), '<output>', quote(settings.sourceLang)];
+  parts.push(targets.length > 1 ? `--to ${quote(targets.join(','))}` : quote(targets[0]));
+  if (settings.chunkUnit === 'tokens') parts.push(`--chunk-tokens ${settings.chunkSize}`);
+  if (settings.format !== detectFormat(inputFilePath)) parts.push(`--input-format ${settings.format}`);
+  if (settings.keys) parts.push(`--json-keys ${settings.keys.join(',')}`);
+  if (settings.columns) parts.push(`--csv-columns ${settings.columns.join(',')}`);
+  if (settings.maxLineLength) parts.push(`--max-line-length ${settings.maxLineLength}`);
+  if (project.chunks.some(chunk => chunk.status === 'failure')) parts.push('--retry-failed');
+  const env = settings.chunkUnit !== 'tokens' && settings.chunkSize && settings.chunkSize !== CONFIG.chunkSize
+    ? `CHUNK_SIZE=${settings.chunkSize} `
+    : '';
+  return env + parts.join(' ');
+}
+
 /**
  * Show usage help
  */
@@ -419,7 +1656,9 @@ function showHelp() {
 Easy Translator - Translate large files using OpenAI
 
 USAGE:
-  node translate.js <input-file> <output-file> [source-lang] [target-lang]
+  node translate.js <input-file> <output-file> [source-lang] [target-lang] [options]
+  node translate.js <input-dir|"glob"> <output-dir> [source-lang] [target-lang] [options]
+  node translate.js - - [source-lang] [target-lang] [options]   (stdin to stdout)
 
 ARGUMENTS:
   input-file    Path to the file to translate
@@ -427,58 +1666,441 @@ ARGUMENTS:
   source-lang   Source language (default: auto)
   target-lang   Target language (default: English)
 
+OPTIONS:
+  --to <langs>          Comma-separated target languages, instead of
+                        target-lang: one run, one output per language
+  --stream              Translate a plain-text file as it is read, writing
+                        the output as it is translated (implied by "-")
+  --glossary <file>     CSV (source,target[,note]) or JSON term list to enforce
+  --memory <file>       Translation memory database (default: ~/.easy-translator/memory.db)
+  --no-memory           Don't read or write the translation memory
+  --context             Give each chunk the end of the previous one (and its
+                        translation) as context, for consistent names and register
+  --context-summary     Like --context, plus running notes on characters,
+                        forms of address and terms (one extra API call per chunk)
+  --input-format <fmt>  text, markdown, html, json, csv or subtitles
+                        (default: from extension)
+  --json-keys <keys>    Comma-separated keys whose string values are translated
+  --csv-columns <cols>  Comma-separated CSV column names or numbers to translate
+  --max-line-length <n> Re-wrap translated subtitle cues to n characters per line
+  --format <fmt>        Output: document (the translated file, default), or
+                        source and translation together as bilingual (text),
+                        html (two-column table), csv, tsv, xliff (1.2),
+                        xliff2 (2.0) or tmx
+  --align               Align each chunk and its translation sentence by
+                        sentence (stored in the database, used by --format
+                        exports and the translation memory)
+  --retry-failed        Re-queue chunks that failed in an earlier run
+  --retry-review        Re-translate chunks that failed the quality checks
+  --update              The input or settings changed since the last run:
+                        re-chunk it and translate only new or changed chunks
+  --restart             Discard the progress database and start over
+  --chunk-tokens <n>    Size chunks by estimated tokens instead of characters,
+                        capped so the translation fits the model's output
+                        limit; "auto" uses that limit
+  --quality-retries <n> Stricter re-translations of a chunk that fails the
+                        quality checks before it is marked needs_review (default: 1)
+  --no-language-check   Don't check the translation's language (for output
+                        whose language can't be detected, e.g. the mock provider)
+  --dry-run             Estimate tokens and cost per model without translating
+  --prices <file>       JSON price table (USD per 1M tokens) merged over the defaults
+  --provider <name>     chat (Chat Completions, default), responses (OpenAI
+                        Responses API) or mock (offline, for testing)
+  --base-url <url>      API base URL, e.g. http://localhost:8080/v1 for a
+                        self-hosted OpenAI-compatible server
+  --rpm <n>             Requests per minute to stay under (your API tier limit)
+  --tpm <n>             Tokens per minute to stay under (your API tier limit)
+
+STRUCTURED FILES:
+  .md, .html, .json and .csv/.tsv files are parsed and only their text is
+  translated (not code, markup, keys, URLs or other columns). The output
+  has the same structure as the input.
+
+SUBTITLES:
+  .srt and .vtt files are translated cue by cue. Cue numbers and timestamps
+  are kept; every cue must come back exactly once or it is re-requested.
+
+DIRECTORIES:
+  Give a directory (every .txt, .md, .html, .json, .csv/.tsv, .srt and .vtt
+  file below it) or a quoted glob such as "docs/**/*.md" as the input, and
+  an output directory. The input tree is mirrored into it; all files share
+  the concurrency and rate limits. Progress is kept per file in
+  <output-dir>/.easy-translator/, changed files are updated (unchanged
+  chunks kept), files that are up to date are skipped, and
+  <output-dir>/manifest.json lists each file's status, chunks and errors.
+
+SEVERAL LANGUAGES:
+  With --to French,German,Japanese the input is chunked once and every
+  chunk is translated into each language, all through the same concurrency
+  and rate limits, with progress per chunk and language in one database.
+  Each language gets its own output: book.txt -> book.fr.txt, book.de.txt,
+  ... (or put {lang} in the output path: out/{lang}/book.txt), and for a
+  directory a subdirectory per language (out/fr/..., out/de/...).
+
+STREAMING:
+  "-" as the input reads stdin and as the output writes stdout (log lines
+  go to stderr). A stream is chunked as it is read and each chunk is
+  written as soon as it and every chunk before it are translated, so
+  files of any size are translated in bounded memory. Plain text into one
+  language only, with no progress database: an interrupted stream starts
+  over. --context, --align, --update, --restart, --retry-* and exports
+  (--format) are not available, nor --dry-run with stdin.
+
+TRANSLATION MEMORY:
+  node translate.js --export-tmx memory.tmx    Export the memory as TMX
+  node translate.js --import-tmx memory.tmx    Merge a TMX file into the memory
+
+PROJECT FILES:
+  node translate.js book.txt --export-project book.project.json
+      Write the translation of book.txt (book.db and the text) as a
+      project file, which translator.html can import and finish
+  node translate.js --import-project book.project.json [book.txt]
+      Write the project's text (to its file name unless given) and its
+      progress database, then print the command that resumes it. A
+      project whose prompt names no known language needs --to; an
+      existing database is replaced only with --restart.
+
 EXAMPLES:
   node translate.js document.txt translated.txt
   node translate.js book.txt book_english.txt Hebrew English
   node translate.js article.txt article_es.txt auto Spanish
+  node translate.js manual.txt manual_de.txt English German --glossary terms.csv
+  node translate.js episode.srt episode_en.srt Spanish English --max-line-length 42
+  node translate.js book.txt book_review.html French English --format html
+  node translate.js book.txt book.tmx French English --format tmx --align
+  node translate.js book.txt --dry-run
+  node translate.js docs/ docs_de/ English German
+  node translate.js "content/**/*.md" content_fr/ English French
+  node translate.js guide.md out/guide.md English --to French,German,Japanese
+  node translate.js docs/ l10n/ English --to French,German
+  cat big.txt | node translate.js - - auto English > big_en.txt
+  node translate.js secret.txt secret_en.txt auto English --base-url http://localhost:11434/v1
 
 ENVIRONMENT VARIABLES (in .env file):
   OPENAI_API_KEY    Your OpenAI API key (required)
   OPENAI_MODEL      Model to use (default: gpt-4-turbo)
   CHUNK_SIZE        Characters per chunk (default: 4000)
+  CHUNK_TOKENS      Estimated tokens per chunk, or auto (overrides CHUNK_SIZE)
   MAX_CONCURRENT    Concurrent API calls (default: 5)
   TEMPERATURE       Translation temperature (default: 0.3)
+  TRANSLATION_MEMORY  Translation memory database path
+  CONTEXT_CHARS     Characters of previous chunk given as context (default: 800)
+  MAX_ATTEMPTS      API attempts per request before a chunk fails (default: 5)
+  PRICES_FILE       JSON price table used for estimates and the cost summary
+  PROVIDER          chat, responses or mock (default: chat)
+  OPENAI_BASE_URL   API base URL for OpenAI-compatible servers
+  AUTH_HEADER       Header carrying the API key, e.g. api-key (default: Authorization: Bearer)
+  RATE_LIMIT_RPM    Requests per minute to stay under (default: none)
+  RATE_LIMIT_TPM    Tokens per minute to stay under (default: none)
+  QUALITY_RETRIES   Stricter re-translations after failed quality checks (default: 1)
 
 RESUME:
   If translation is interrupted, just run the same command again.
   Progress is saved in a .db file alongside your input file.
+  Failed chunks are kept as failed; add --retry-failed to try them again.
+  If the input file, languages or chunk settings changed since, the run
+  stops; add --update to keep the translations of unchanged chunks, or
+  --restart to start over.
 `);
 }
 
 // CLI
 async function main() {
-  const args = process.argv.slice(2);
+  let args, flags;
+  try {
+    const parsed = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        help: { type: 'boolean', short: 'h' },
+        glossary: { type: 'string' },
+        memory: { type: 'string' },
+        'no-memory': { type: 'boolean' },
+        context: { type: 'boolean' },
+        'context-summary': { type: 'boolean' },
+        'input-format': { type: 'string' },
+        'json-keys': { type: 'string' },
+        'csv-columns': { type: 'string' },
+        'max-line-length': { type: 'string' },
+        to: { type: 'string' },
+        stream: { type: 'boolean' },
+        format: { type: 'string' },
+        align: { type: 'boolean' },
+        'retry-failed': { type: 'boolean' },
+        update: { type: 'boolean' },
+        restart: { type: 'boolean' },
+        'retry-review': { type: 'boolean' },
+        'quality-retries': { type: 'string' },
+        'no-language-check': { type: 'boolean' },
+        'chunk-tokens': { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        prices: { type: 'string' },
+        provider: { type: 'string' },
+        'base-url': { type: 'string' },
+        rpm: { type: 'string' },
+        tpm: { type: 'string' },
+        'export-tmx': { type: 'string' },
+        'import-tmx': { type: 'string' },
+        'export-project': { type: 'string' },
+        'import-project': { type: 'string' }
+      }
+    });
+    args = parsed.positionals;
+    flags = parsed.values;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.log('Run with --help for usage information');
+    process.exit(1);
+  }
+
+  const memoryPath = flags.memory || CONFIG.memoryPath;
+
+  if (flags['export-tmx'] || flags['import-tmx']) {
+    try {
+      if (flags['import-tmx']) {
+        const count = await importTranslationMemory(flags['import-tmx'], memoryPath);
+        console.log(`Imported ${count} translation units into ${memoryPath}`);
+      }
+      if (flags['export-tmx']) {
+        const count = await exportTranslationMemory(flags['export-tmx'], memoryPath);
+        console.log(`Exported ${count} translation units to ${flags['export-tmx']}`);
+      }
+    } catch (error) {
+      console.error('Translation memory error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
 
-  if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
+  // Project files: move a translation to or from translator.html
+  if (flags['export-project'] || flags['import-project']) {
+    try {
+      if (flags['import-project']) {
+        const imported = await importProject(flags['import-project'], args[0], {
+          target: flags.to ? parseLanguages(flags.to)[0] : null,
+          restart: flags.restart
+        });
+        const count = (...statuses) => imported.project.chunks.filter(chunk => statuses.includes(chunk.status)).length;
+        console.log(`Imported ${imported.project.chunks.length} chunks of ${imported.project.fileName}: ` +
+          `${count('success', 'needs_review', 'edited')} translated, ${count('pending')} pending, ${count('failure')} failed`);
+        console.log(`Input: ${imported.inputFilePath}`);
+        console.log(`Progress database: ${imported.dbPath}`);
+        console.log(`Continue with: ${resumeCommand(imported)}`);
+      } else {
+        if (!args[0]) {
+          console.error('Error: --export-project needs the input file whose translation to export');
+          process.exit(1);
+        }
+        const project = await exportProject(args[0], flags['export-project'], { glossaryPath: flags.glossary });
+        console.log(`Exported ${project.chunks.length} chunks of ${args[0]} to ${flags['export-project']}`);
+      }
+    } catch (error) {
+      console.error('Project error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args.length === 0 || flags.help) {
     showHelp();
     return;
   }
 
-  if (args.length < 2) {
+  // A dry run only needs the input file (the output path is ignored)
+  if (args.length < 2 && !flags['dry-run']) {
     console.error('Error: Please provide input and output file paths');
     console.log('Run with --help for usage information');
     process.exit(1);
   }
 
-  if (!process.env.OPENAI_API_KEY) {
-    console.error('Error: OPENAI_API_KEY not found');
-    console.log('\nCreate a .env file with:');
-    console.log('OPENAI_API_KEY=your-api-key-here');
+  if (flags.to && args[3]) {
+    console.error('Error: give the target language either as an argument or with --to');
     process.exit(1);
   }
 
   const inputFile = args[0];
   const outputFile = args[1];
   const sourceLang = args[2] || 'auto';
-  const targetLang = args[3] || 'English';
+  // --to French,German,Japanese: one run, one output per language
+  const targets = parseLanguages(flags.to || args[3] || 'English');
+  if (targets.length === 0) {
+    console.error('Error: --to needs at least one language');
+    process.exit(1);
+  }
+  const targetLang = targets.length === 1 ? targets[0] : targets;
+  // A directory or a glob translates many files into an output directory
+  const directoryMode = isGlob(inputFile) || (fs.existsSync(inputFile) && fs.statSync(inputFile).isDirectory());
+  // "-" reads stdin / writes stdout; streams are translated as they are read
+  const streamMode = flags.stream || inputFile === '-' || outputFile === '-';
 
-  if (!fs.existsSync(inputFile)) {
+  if (!directoryMode && inputFile !== '-' && !fs.existsSync(inputFile)) {
     console.error(`Error: Input file not found: ${inputFile}`);
     process.exit(1);
   }
 
+  if (directoryMode && flags['dry-run']) {
+    console.error('Error: --dry-run takes a single input file');
+    process.exit(1);
+  }
+
+  if (directoryMode && fs.existsSync(outputFile) && !fs.statSync(outputFile).isDirectory()) {
+    console.error(`Error: Output must be a directory when translating a directory: ${outputFile}`);
+    process.exit(1);
+  }
+
+  const inputFormat = flags['input-format'];
+  if (inputFormat && inputFormat !== 'text' && !FORMATS.includes(inputFormat)) {
+    console.error(`Error: Unknown input format: ${inputFormat} (use text, ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  if (flags.format && !Object.hasOwn(EXPORT_FORMATS, flags.format)) {
+    console.error(`Error: Unknown output format: ${flags.format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    process.exit(1);
+  }
+
+  let maxLineLength;
+  if (flags['max-line-length']) {
+    maxLineLength = parseInt(flags['max-line-length'], 10);
+    if (!(maxLineLength > 0)) {
+      console.error('Error: --max-line-length must be a positive number');
+      process.exit(1);
+    }
+  }
+
+  const splitList = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+
+  if (flags.glossary && !fs.existsSync(flags.glossary)) {
+    console.error(`Error: Glossary file not found: ${flags.glossary}`);
+    process.exit(1);
+  }
+
+  if (flags.prices && !fs.existsSync(flags.prices)) {
+    console.error(`Error: Price table not found: ${flags.prices}`);
+    process.exit(1);
+  }
+
+  let chunkTokens;
+  if (flags['chunk-tokens']) {
+    chunkTokens = flags['chunk-tokens'] === 'auto' ? 'auto' : parseInt(flags['chunk-tokens'], 10);
+    if (!(chunkTokens === 'auto' || chunkTokens > 0)) {
+      console.error('Error: --chunk-tokens must be a positive number or auto');
+      process.exit(1);
+    }
+  }
+
+  // The estimate reads the whole input up front, which stdin can't give
+  if (flags['dry-run'] && inputFile === '-') {
+    console.error('Error: --dry-run can\'t be used when streaming; give the input file to estimate');
+    process.exit(1);
+  }
+
+  if (flags['dry-run']) {
+    try {
+      estimateFile(inputFile, sourceLang, targetLang, {
+        chunkTokens,
+        pricesPath: flags.prices,
+        inputFormat,
+        jsonKeys: splitList(flags['json-keys']),
+        csvColumns: splitList(flags['csv-columns'])
+      });
+    } catch (error) {
+      console.error('Estimate failed:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (flags.provider) CONFIG.provider = flags.provider;
+  if (flags['base-url']) CONFIG.baseUrl = flags['base-url'];
+  if (!PROVIDERS.includes(CONFIG.provider)) {
+    console.error(`Error: Unknown provider: ${CONFIG.provider} (use ${PROVIDERS.join(', ')})`);
+    process.exit(1);
+  }
+
+  if (flags['quality-retries'] !== undefined) {
+    CONFIG.qualityRetries = parseInt(flags['quality-retries'], 10);
+    if (!(CONFIG.qualityRetries >= 0)) {
+      console.error('Error: --quality-retries must be 0 or more');
+      process.exit(1);
+    }
+  }
+
+  if (flags['no-language-check']) CONFIG.languageCheck = false;
+
+  for (const [flag, key] of [['rpm', 'requestsPerMinute'], ['tpm', 'tokensPerMinute']]) {
+    if (flags[flag] === undefined) continue;
+    CONFIG[key] = parseInt(flags[flag], 10);
+    if (!(CONFIG[key] > 0)) {
+      console.error(`Error: --${flag} must be a positive number`);
+      process.exit(1);
+    }
+  }
+
+  if (flags.update && flags.restart) {
+    console.error('Error: use either --update or --restart');
+    process.exit(1);
+  }
+
+  // Streams: plain text into one language, with no progress database
+  if (streamMode) {
+    const format = inputFormat || (inputFile === '-' ? 'text' : detectFormat(inputFile));
+    const unsupported = ['context', 'context-summary', 'align', 'update', 'restart', 'retry-failed', 'retry-review']
+      .find(flag => flags[flag]);
+    let problem = null;
+    if (directoryMode) problem = 'a directory can\'t be streamed';
+    else if (format !== 'text') problem = `only plain text can be streamed (${inputFile} is ${FORMAT_NAMES[format]})`;
+    else if (targets.length > 1) problem = 'a stream is translated into one language';
+    else if (flags.format && flags.format !== 'document') problem = `--format ${flags.format} can't be streamed`;
+    else if (unsupported) problem = `--${unsupported} can't be used when streaming`;
+    if (problem) {
+      console.error(`Error: ${problem}`);
+      process.exit(1);
+    }
+  }
+
+  // Self-hosted servers (a base URL) and the mock provider may not need a key
+  if (!process.env.OPENAI_API_KEY && CONFIG.provider !== 'mock' && !CONFIG.baseUrl) {
+    console.error('Error: OPENAI_API_KEY not found');
+    console.log('\nCreate a .env file with:');
+    console.log('OPENAI_API_KEY=your-api-key-here');
+    process.exit(1);
+  }
+
+  const options = {
+    glossaryPath: flags.glossary,
+    memoryPath,
+    memory: !flags['no-memory'],
+    context: flags.context,
+    contextSummary: flags['context-summary'],
+    inputFormat,
+    jsonKeys: splitList(flags['json-keys']),
+    csvColumns: splitList(flags['csv-columns']),
+    maxLineLength,
+    chunkTokens,
+    format: flags.format,
+    align: flags.align,
+    retryFailed: flags['retry-failed'],
+    retryReview: flags['retry-review'],
+    update: flags.update,
+    clearDatabase: flags.restart,
+    pricesPath: flags.prices
+  };
+
   try {
-    await translateFile(inputFile, outputFile, sourceLang, targetLang);
+    if (streamMode) {
+      // The translation goes to stdout: log lines go to stderr
+      if (outputFile === '-') console.log = console.error;
+      const input = inputFile === '-' ? process.stdin : fs.createReadStream(inputFile);
+      if (outputFile !== '-') ensureDirectory(outputFile);
+      const output = outputFile === '-' ? process.stdout : await openOutput(outputFile);
+      await translateStream(input, output, sourceLang, targetLang, { ...options, inputName: inputFile === '-' ? 'stdin' : inputFile });
+    } else if (directoryMode) {
+      const manifest = await translateDirectory(inputFile, outputFile, sourceLang, targetLang, options);
+      if (manifest.totals.error > 0) process.exit(1);
+    } else {
+      await translateFile(inputFile, outputFile, sourceLang, targetLang, options);
+    }
   } catch (error) {
     console.error('Translation failed:', error.message);
     process.exit(1);
@@ -488,5 +2110,16 @@ async function main() {
 if (require.main === module) {
   main();
 } else {
-  module.exports = { translateFile, splitTextIntoChunks, CONFIG };
+  module.exports = {
+    translateFile,
+    translateStream,
+    translateDirectory,
+    estimateFile,
+    splitTextIntoChunks,
+    exportTranslationMemory,
+    importTranslationMemory,
+    exportProject,
+    importProject,
+    CONFIG
+  };
 }